@@ -1,11 +1,13 @@
 /**
  *    Aho-Corasick - WebGPU Accelerated Pattern Matching
+ *    (falls back to a CPU walk of the same dense table when WebGPU is unavailable)
  *    Author: Nikolaos Papoutsakis
  *    Year: 2026
  */
 
-import { saveAutomaton, savePatterns } from "./cache.js";
+import { clearCache, loadAutomaton, saveAutomaton } from "./cache.js";
 import { JARMFetcher } from "./jarmFetcher.js";
+import { assignPatternIds, diffPatterns, indexPatterns, normalizePatterns, patternSetDigest } from "./patterns.js";
 
 // Constant variables
 const JARM_LENGTH = 62;
@@ -16,6 +18,48 @@ const ALPHABET_SIZE = 16;
 // workgroup size for GPU dispatch
 const WORKGROUP_SIZE = 64;
 
+// patterns inserted between two yields while building an automaton
+const BUILD_CHUNK = 2000;
+
+/**
+ * Automaton encodings, selectable per type:
+ *   'dense'  - Aho-Corasick table, 16 u32 transitions + 1 u32 output per state (payload.wgsl)
+ *   'bitmap' - exact-match trie, 2 u32 per node: a 16-bit child mask and the index of the
+ *              first child (the pattern ID on leaves). Every JARM has the same length, so no
+ *              failure links are needed (payload_bitmap.wgsl)
+ *   'auto'   - 'bitmap' for large pattern sets, 'dense' otherwise
+ */
+export const ENCODINGS = ['dense', 'bitmap', 'auto'];
+
+const SHADERS = { dense: 'payload.wgsl', bitmap: 'payload_bitmap.wgsl' };
+
+// 'auto' switches to the bitmap trie above this many patterns
+const COMPACT_THRESHOLD = 10000;
+
+// bytes per state of the dense table (transitions + output)
+const DENSE_STATE_BYTES = (ALPHABET_SIZE + 1) * 4;
+
+
+// set bits of a 16-bit mask
+function countBits(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+// lets queued events (e.g. webRequest listeners) run during a long build
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
 // Mapping characters to indices (supports both uppercase and lowercase hex)
 export function mapCharCode(code) {
   if (code >= 48 && code <= 57) {
@@ -26,38 +70,50 @@ export function mapCharCode(code) {
     // 'a' - 'f'
     return 10 + (code - 97);
   }
+  if (code >= 65 && code <= 70) {
+    // 'A' - 'F'
+    return 10 + (code - 65);
+  }
   // unkown character
   return -1; 
 }
 
 export class AhoCorasick {
-  constructor() {
-    this.max_batch = 1024;
+  // encoding: one of ENCODINGS per type (category ID, see categories.js), default_encoding when left out
+  // max_batch: JARMs per GPU dispatch, the buffers are sized for it
+  constructor({ encoding = {}, default_encoding = 'auto', max_batch = 1024 } = {}) {
+    this.max_batch = max_batch;
 
     // webgpu
     this.device = null;
     this.queue = null;
     this.initialized = false;
-    this.shaderModule = null;
+    this.shader_modules = { dense: null, bitmap: null };
+    this.max_binding_size = Infinity;
+    this.gpu_available = false;
 
-    // automaton structures
-    this.patterns = { blocklist: [], trackers: [] };
-    this.table = { blocklist: null, trackers: null };
-    this.output = { blocklist: null, trackers: null };
-    this.num_states = { blocklist: 0, trackers: 0 };
+    // the state below is keyed by type, a type gets its entries on its first load (see #addType)
+
+    // encoding per type: the configured one (types without one follow default_encoding), and the one of the automaton in use
+    this.default_encoding = default_encoding;
+    this.encoding = { ...encoding };
+    this.active_encoding = {};
 
-    // GPU buffers
-    this.transition_buffer = { blocklist: null, trackers: null };
-    this.output_buffer = { blocklist: null, trackers: null };
-    this.input_buffer = { blocklist: null, trackers: null };
-    this.result_buffer = { blocklist: null, trackers: null };
-    this.readback_buffer = { blocklist: null, trackers: null };
+    // matching backend per type: 'webgpu' or 'cpu'
+    this.backend = {};
 
-    // WebGPU pipelines and bind groups (cached for performance)
-    this.compute_pipeline = { blocklist: null, trackers: null };
-    this.bind_group = { blocklist: null, trackers: null };
+    // automaton structures
+    this.patterns = {};
+    this.pattern_index = {};
+    this.digest = {};   // of the patterns in use, see patternSetDigest
+    this.table = {};
+    this.output = {};
+    this.num_states = {};
+
+    // GPU buffers, pipeline and bind group of the automaton in use (see #createResources)
+    this.gpu = {};
 
-    this.ready = { blocklist: false, trackers: false };
+    this.ready = {};
 
     // JARM Fetcher instance
     this.jarmFetcher = new JARMFetcher();
@@ -65,6 +121,7 @@ export class AhoCorasick {
 
 
   // WebGPU Adapter Initialization
+  // If WebGPU cannot be used, the instance is still initialized and every type runs on the CPU.
   async init() {
     if (this.initialized) {
       return;
@@ -91,80 +148,262 @@ export class AhoCorasick {
 
       this.device = await adapter.requestDevice({ requiredLimits });
       this.queue = this.device.queue;
-
-      // Load and compile shader once
-      const wgsl_url = chrome.runtime.getURL('payload.wgsl');
-      const response = await fetch(wgsl_url);
-      if (!response.ok) {
-        throw new Error(`[ERROR] Failed to load shader: ${response.status}`);
+      this.max_binding_size = maxStorageBuffer;
+
+      // Load and compile the shader of every encoding once
+      for (const [encoding, file] of Object.entries(SHADERS)) {
+        const wgsl_url = chrome.runtime.getURL(file);
+        const response = await fetch(wgsl_url);
+        if (!response.ok) {
+          throw new Error(`[ERROR] Failed to load shader ${file}: ${response.status}`);
+        }
+        const wgsl = await response.text();
+        
+        this.shader_modules[encoding] = this.device.createShaderModule({ code: wgsl });
       }
-      const wgsl = await response.text();
-      
-      this.shaderModule = this.device.createShaderModule({ code: wgsl });
 
-      this.initialized = true;
+      // if the GPU goes away later on, keep matching on the CPU
+      this.device.lost.then((info) => {
+        console.warn(`[WARN] WebGPU device lost (${info.message}), switching to CPU matching.`);
+        this.gpu_available = false;
+        for (const type in this.backend) {
+          this.#useCPU(type);
+        }
+      });
+
+      this.gpu_available = true;
     } 
     catch (error) {
-      console.error("[ERROR] WebGPU initialization failed:", error);
-      this.initialized = false;
-      throw error;
+      console.warn("[WARN] WebGPU initialization failed, falling back to CPU matching:", error);
+      this.gpu_available = false;
+      this.device = null;
+      this.queue = null;
     }
+
+    this.initialized = true;
   }
 
 
   // Load JARM patterns for a specific type.
+  // The cached automaton is used when it was built from the same patterns, otherwise it is rebuilt.
   async loadPatterns(type) {
     if (!this.initialized) {
       console.warn("[WARN] Not initialized!");
       return;
     }
     
+    this.#addType(type);
+    let patterns;
+
     // First, try to load from chrome.storage.local (updated patterns)
     const storageData = await chrome.storage.local.get(["jarms"]);
     if (storageData["jarms"] && storageData["jarms"][type]) {
-      this.patterns[type] = storageData["jarms"][type];
-      console.log(`[+] [${type}] Loaded ${this.patterns[type].length} patterns from storage`);
+      patterns = assignPatternIds(normalizePatterns(storageData["jarms"][type]));
+      console.log(`[+] [${type}] Loaded ${patterns.length} patterns from storage`);
     } 
     else {
       // Fallback: fetch from GitHub
-      console.log(`[+] [${type}] No patterns in storage, fetching from GitHub...`);
-      if (type === 'blocklist') {
-          this.patterns[type] = await this.jarmFetcher.fetch_blocklist_jarms();
-      } 
-      else if (type === 'trackers') {
-          this.patterns[type] = await this.jarmFetcher.fetch_tracker_jarms();
-      } else {
-          console.error(`[ERROR] Invalid pattern type: ${type}`);
-          return;
+      console.log(`[+] [${type}] No patterns in storage, fetching from the feeds...`);
+      try {
+        patterns = assignPatternIds(await this.jarmFetcher.fetch_category_jarms(type));
+
+        // stored, so the cached automaton can be checked against them on the next start
+        const stored = (await chrome.storage.local.get('jarms'))['jarms'] || {};
+        await chrome.storage.local.set({ 'jarms': { ...stored, [type]: patterns } });
+      }
+      catch (error) {
+        // nothing stored, the failed feeds are retried soon and the next start fetches them again
+        console.error(`[ERROR] [${type}] Fetching the feeds failed, starting with an empty automaton:`, error);
+        patterns = [];
       }
     }
-    // this.patterns[type] = type === 'blocklist' ? 
+    // patterns = type === 'blocklist' ? 
     //   await this.jarmFetcher.fetch_testing_jarms() :
     //   await this.jarmFetcher.fetch_tracker_jarms();
-      
-    await savePatterns(this.patterns[type], type);
+
+    const encoding = this.resolveEncoding(type, patterns);
+    const digest = await patternSetDigest(patterns);
+    const cached = await loadAutomaton(type, digest, encoding);
+    if (cached) {
+      this.setPatterns(type, patterns);
+      this.digest[type] = digest;
+      this.num_states[type] = cached.num_states;
+      this.table[type] = cached.table;
+      this.output[type] = cached.output;
+      this.active_encoding[type] = encoding;
+      await this.prepareGPU(type);
+      return;
+    }
+
+    await this.update(type, patterns);
+  }
+
+
+  /**
+   * Replaces the pattern set of a type.
+   * The new automaton is built (and uploaded to the GPU) next to the one in use, which keeps
+   * serving match() until the new one is swapped in. Nothing is rebuilt when the set is unchanged.
+   * Returns { added, removed }, the number of JARMs added and removed.
+   */
+  async update(type, patterns) {
+    this.#addType(type);
+    const delta = diffPatterns(this.patterns[type], patterns);
+    const encoding = this.resolveEncoding(type, patterns);
+    const unchanged = delta.added === 0 && delta.removed === 0 && encoding === this.active_encoding[type];
+    if (this.ready[type] && unchanged) {
+      console.log(`[+] [${type}] Pattern set unchanged, keeping the current automaton.`);
+      this.setPatterns(type, patterns);
+      return delta;
+    }
 
     const start = performance.now();
-    this.#buildDFA(type);
+    const automaton = await this.#buildDFA(type, patterns, encoding);
     const end = performance.now();
-    console.log(`[+] [${type}] DFA built in ${(end - start).toFixed(2)} ms, ${this.patterns[type].length} patterns, ${this.num_states[type]} states.`);
-    
+    console.log(`[+] [${type}] DFA built in ${(end - start).toFixed(2)} ms, ${patterns.length} patterns, ` +
+      `${automaton.num_states} states (+${delta.added} / -${delta.removed} JARMs).`);
+    this.#logMemory(type, automaton);
+
+    const digest = await patternSetDigest(patterns);
     const prepareStart = performance.now();
-    await this.prepareGPU(type);
+    const gpu = await this.#createResources(type, automaton);
     const prepareEnd = performance.now();
     console.log(`[+] [${type}] GPU resources prepared in ${(prepareEnd - prepareStart).toFixed(2)} ms.`);
 
+    this.#swap(type, automaton, gpu);
+    this.setPatterns(type, patterns);
+    this.digest[type] = digest;
+    if (gpu) {
+      await this.#warmup(type);
+    }
+
     try {
-      await saveAutomaton({
-        num_states: this.num_states[type],
-        table: this.table[type],
-        output: this.output[type],
-      }, type);
+      await saveAutomaton(automaton, type, digest);
       console.log(`[+] [${type}] Automaton saved to cache.`);
     } 
     catch (error) {
       console.error(`[ERROR] [${type}] Error loading or processing patterns:`, error);
     }
+
+    return delta;
+  }
+
+  // The encoding a pattern set is built with, resolves 'auto'
+  resolveEncoding(type, patterns) {
+    const encoding = this.encoding[type] || this.default_encoding;
+    if (encoding === 'dense' || encoding === 'bitmap') {
+      return encoding;
+    }
+
+    // the dense table would not fit in one storage buffer binding
+    const dense_bytes = patterns.length * JARM_LENGTH * ALPHABET_SIZE * 4;
+    return patterns.length > COMPACT_THRESHOLD || dense_bytes > this.max_binding_size ? 'bitmap' : 'dense';
+  }
+
+
+  // Switches the encoding of a type (null follows the default), the automaton is rebuilt when it changes
+  async setEncoding(type, encoding) {
+    if (encoding !== null && !ENCODINGS.includes(encoding)) {
+      throw new Error(`Invalid automaton encoding: ${encoding}`);
+    }
+    if (encoding === null) {
+      delete this.encoding[type];
+    }
+    else {
+      this.encoding[type] = encoding;
+    }
+    if (this.ready[type]) {
+      await this.update(type, this.patterns[type]);
+    }
+  }
+
+
+  // Switches the encoding of the types without one of their own, loaded already or later
+  async setDefaultEncoding(encoding) {
+    if (!ENCODINGS.includes(encoding)) {
+      throw new Error(`Invalid automaton encoding: ${encoding}`);
+    }
+    this.default_encoding = encoding;
+    for (const type of this.types()) {
+      if (!this.encoding[type] && this.ready[type]) {
+        await this.update(type, this.patterns[type]);
+      }
+    }
+  }
+
+
+  // Changes the JARMs per GPU dispatch, the automata on the GPU get new buffers
+  async setMaxBatch(max_batch) {
+    if (max_batch === this.max_batch) {
+      return;
+    }
+    this.max_batch = max_batch;
+    for (const type of this.types()) {
+      if (this.ready[type] && this.backend[type] === 'webgpu') {
+        await this.prepareGPU(type);
+      }
+    }
+  }
+
+
+  #logMemory(type, automaton) {
+    const bytes = automaton.table.byteLength + automaton.output.byteLength;
+    const dense_bytes = automaton.num_states * DENSE_STATE_BYTES;
+    console.log(`[+] [${type}] Automaton memory (${automaton.encoding}): ${formatBytes(bytes)}` +
+      (automaton.encoding === 'dense' ? '' : `, the dense table would take ${formatBytes(dense_bytes)}`));
+  }
+
+  // Sets the pattern records of a type and indexes them by ID
+  setPatterns(type, patterns) {
+    this.patterns[type] = patterns;
+    this.pattern_index[type] = indexPatterns(patterns);
+  }
+
+  // Returns the pattern record for an ID returned by match(), or null
+  getPattern(id, type) {
+    return this.pattern_index[type]?.get(id) || null;
+  }
+
+
+  // The types with an automaton, ready or being built
+  types() {
+    return Object.keys(this.ready);
+  }
+
+
+  // Creates the entries of a type that was never loaded
+  #addType(type) {
+    if (type in this.ready) {
+      return;
+    }
+    this.active_encoding[type] = 'dense';
+    this.backend[type] = 'webgpu';
+    this.patterns[type] = [];
+    this.pattern_index[type] = new Map();
+    this.digest[type] = null;
+    this.table[type] = null;
+    this.output[type] = null;
+    this.num_states[type] = 0;
+    this.gpu[type] = null;
+    this.ready[type] = false;
+  }
+
+
+  // Drops the automaton of a type (e.g. its category was removed) along with its cached copy
+  async removeType(type) {
+    if (!(type in this.ready)) {
+      return;
+    }
+
+    // matches still running on the GPU keep the resources until they are done
+    this.#release(this.gpu[type]);
+    // the configured encoding stays, in case the type comes back
+    for (const state of [this.active_encoding, this.backend, this.patterns, this.pattern_index,
+      this.digest, this.table, this.output, this.num_states, this.gpu, this.ready]) {
+      delete state[type];
+    }
+
+    await clearCache(type);
+    console.log(`[+] [${type}] Automaton removed.`);
   }
 
   #createNode() {
@@ -177,40 +416,55 @@ export class AhoCorasick {
   }
 
 
-  #buildDFA(type) {
-    if (!this.patterns[type] || this.patterns[type].length === 0) {
+  // Builds the automaton of a pattern set, yielding now and then so scans keep running meanwhile
+  // Returns { encoding, num_states, table, output }
+  async #buildDFA(type, patterns, encoding = 'dense') {
+    if (!patterns) {
       throw new Error(`No patterns found for type: ${type}`);
     }
+    if (patterns.length === 0) {
+      // e.g. every feed of the type is disabled, the root-only automaton never matches
+      console.warn(`[WARN] [${type}] Empty pattern set.`);
+    }
 
     const root = this.#createNode();
     const nodes = [root];
     
     // Build trie structure
-    this.#buildTrie(type, root, nodes);
+    await this.#buildTrie(type, patterns, root, nodes);
+
+    if (encoding === 'bitmap') {
+      return await this.#buildBitmap(root, nodes);
+    }
     
     // Build failure links
-    this.#buildFailureLinks(root, nodes);
+    await this.#buildFailureLinks(root, nodes);
     
     // Convert to dense table representation
-    this.#buildDenseTable(type, root, nodes);
+    return await this.#buildDenseTable(root, nodes);
   }
 
-  #buildTrie(type, root, nodes) {
-    for (let i = 0; i < this.patterns[type].length; i++) {
-      const pattern = this.patterns[type][i];
-      if (!pattern || pattern.length === 0) {
-        console.warn(`Empty pattern at index ${i} for type ${type}`);
+  async #buildTrie(type, patterns, root, nodes) {
+    for (let i = 0; i < patterns.length; i++) {
+      if (i > 0 && i % BUILD_CHUNK === 0) {
+        await yieldToEventLoop();
+      }
+
+      const pattern = patterns[i].jarm;
+      if (!pattern || pattern.length !== JARM_LENGTH) {
+        console.warn(`Invalid pattern length at index ${i} for type ${type}, skipping it`);
+        continue;
+      }
+
+      // a pattern with a bad character is skipped as a whole, a truncated one could match unrelated JARMs
+      const codes = Array.from(pattern, ch => mapCharCode(ch.charCodeAt(0)));
+      if (codes.includes(-1)) {
+        console.warn(`Invalid character in pattern ${i} for type ${type}, skipping it`);
         continue;
       }
       
       let node = root;
-      for (let ch = 0; ch < pattern.length; ch++) {
-        const c = mapCharCode(pattern.charCodeAt(ch));
-        if (c === -1) {
-          console.warn(`Invalid character in pattern ${i} at position ${ch}`);
-          continue;
-        }
-        
+      for (const c of codes) {
         if (!node.children.has(c)) {
           const child = this.#createNode();
           child.id = nodes.length;
@@ -219,11 +473,11 @@ export class AhoCorasick {
         }
         node = node.children.get(c);
       }
-      node.matchId = 1; // Boolean match (1=true, 0=false)
+      node.matchId = patterns[i].id; // Pattern ID (0 = no match)
     }
   }
 
-  #buildFailureLinks(root, nodes) {
+  async #buildFailureLinks(root, nodes) {
     // Initialize root failure link
     root.fail = root;
     const queue = [];
@@ -240,6 +494,9 @@ export class AhoCorasick {
     // BFS to set failure links for deeper nodes
     let head = 0;
     while (head < queue.length) {
+      if (head > 0 && head % (BUILD_CHUNK * JARM_LENGTH) === 0) {
+        await yieldToEventLoop();
+      }
       const current = queue[head++];
       
       for (const [c, child] of current.children) {
@@ -265,23 +522,67 @@ export class AhoCorasick {
     }
   }
 
-  #buildDenseTable(type, root, nodes) {
-    this.num_states[type] = nodes.length;
-    this.table[type] = new Uint32Array(this.num_states[type] * ALPHABET_SIZE);
-    this.output[type] = new Uint32Array(this.num_states[type]);
+  async #buildDenseTable(root, nodes) {
+    const num_states = nodes.length;
+    const table = new Uint32Array(num_states * ALPHABET_SIZE);
+    const output = new Uint32Array(num_states);
+
+    for (let state = 0; state < num_states; state++) {
+      if (state > 0 && state % (BUILD_CHUNK * JARM_LENGTH) === 0) {
+        await yieldToEventLoop();
+      }
 
-    for (let state = 0; state < this.num_states[type]; state++) {
       const node = nodes[state];
       
       // Store output information (Pattern ID)
-      this.output[type][state] = node.matchId;
+      output[state] = node.matchId;
       
       // Build transition table
       for (let c = 0; c < ALPHABET_SIZE; c++) {
         const nextState = this.#findNextState(node, c, root);
-        this.table[type][state * ALPHABET_SIZE + c] = nextState;
+        table[state * ALPHABET_SIZE + c] = nextState;
       }
     }
+
+    return { encoding: 'dense', num_states, table, output };
+  }
+
+
+  /**
+   * Lays the trie out for the 'bitmap' encoding: nodes in BFS order, so the children of a
+   * node are contiguous and in character order. Node i is table[2i] = child mask,
+   * table[2i + 1] = index of the first child, or the pattern ID for a leaf.
+   */
+  async #buildBitmap(root, nodes) {
+    const num_states = nodes.length;
+    const table = new Uint32Array(num_states * 2);
+
+    const order = [root];
+    let next_index = 1;
+    for (let index = 0; index < order.length; index++) {
+      if (index > 0 && index % (BUILD_CHUNK * JARM_LENGTH) === 0) {
+        await yieldToEventLoop();
+      }
+
+      const node = order[index];
+      if (node.children.size === 0) {
+        table[index * 2 + 1] = node.matchId;
+        continue;
+      }
+
+      let mask = 0;
+      table[index * 2 + 1] = next_index;
+      for (let c = 0; c < ALPHABET_SIZE; c++) {
+        if (node.children.has(c)) {
+          mask |= 1 << c;
+          order.push(node.children.get(c));
+          next_index++;
+        }
+      }
+      table[index * 2] = mask;
+    }
+
+    return { encoding: 'bitmap', num_states, table, output: new Uint32Array(0) };
   }
 
   #findNextState(node, c, root) {
@@ -297,6 +598,7 @@ export class AhoCorasick {
   }
 
 
+  // Uploads the automaton of a type (e.g. loaded from the cache) and makes it the one in use
   async prepareGPU(type) {
     if (!this.initialized) {
       console.warn(`[!] [${type}] Not initialized!`);
@@ -306,133 +608,265 @@ export class AhoCorasick {
       console.error(`[-] [${type}] No cached table`);
       return;
     }
-    
-    this.#destroy(type);
-    return await this.#init_resources(type);
+
+    const automaton = {
+      encoding: this.active_encoding[type],
+      num_states: this.num_states[type],
+      table: this.table[type],
+      output: this.output[type],
+    };
+    const gpu = await this.#createResources(type, automaton);
+    this.#swap(type, automaton, gpu);
+    if (gpu) {
+      await this.#warmup(type);
+    }
   }
 
 
-  async #init_resources(type) {
-    try {
-      this.device.pushErrorScope('validation');
+  // Switch a type to the CPU backend, the dense table is used as is
+  #useCPU(type) {
+    if (this.backend[type] !== 'cpu') {
+      console.log(`[+] [${type}] Using CPU matching backend.`);
+    }
+    this.#release(this.gpu[type]);
+    this.gpu[type] = null;
+    this.backend[type] = 'cpu';
+    this.ready[type] = Boolean(this.table[type] && this.output[type]);
+  }
 
-      this.input_buffer[type] = this.device.createBuffer({
-        label: `input_${type}`,
-        size: JARM_LENGTH * 4 * this.max_batch,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-      });
 
-      this.result_buffer[type] = this.device.createBuffer({
-        label: `result_${type}`,
-        size: this.max_batch * 4,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
-      });
+  /**
+   * Makes a new automaton the one in use, in one synchronous step so match() never sees half of it.
+   * gpu: its GPU resources, null to match on the CPU
+   * The resources of the old automaton are released once the matches still using them are done.
+   */
+  #swap(type, automaton, gpu) {
+    const old_gpu = this.gpu[type];
 
-      this.readback_buffer[type] = this.device.createBuffer({
-        label: `readback_${type}`,
-        size: this.max_batch * 4,
-        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
-      });
+    this.num_states[type] = automaton.num_states;
+    this.table[type] = automaton.table;
+    this.output[type] = automaton.output;
+    this.active_encoding[type] = automaton.encoding;
+    this.gpu[type] = gpu;
+    this.ready[type] = true;
 
-      this.transition_buffer[type] = this.device.createBuffer({
-        label: `transitions_${type}`,
-        size: this.table[type].byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-      });
-      this.queue.writeBuffer(this.transition_buffer[type], 0, this.table[type]);
+    this.#release(old_gpu);
 
-      this.output_buffer[type] = this.device.createBuffer({
-        label: `output_flags_${type}`,
-        size: this.output[type].byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-      });
-      this.queue.writeBuffer(this.output_buffer[type], 0, this.output[type]);
-      
-      const bindGroupLayout = this.device.createBindGroupLayout({
-        entries: [
-          { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
-          { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
-          { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
-          { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
-        ]
-      });
+    if (gpu) {
+      this.backend[type] = 'webgpu';
+    }
+    else {
+      this.#useCPU(type);
+    }
+  }
 
-      const pipelineLayout = this.device.createPipelineLayout({
-        bindGroupLayouts: [bindGroupLayout],
-      });
 
-      this.compute_pipeline[type] = this.device.createComputePipeline({
-        layout: pipelineLayout,
-        compute: { 
-          module: this.shaderModule, 
-          entryPoint: "main" 
-        },
-      });
-      
-      // Create and cache bind group using the explicit layout
-      this.bind_group[type] = this.device.createBindGroup({
-        layout: bindGroupLayout,
-        entries: [
-          { binding: 0, resource: { buffer: this.transition_buffer[type] } },
-          { binding: 1, resource: { buffer: this.output_buffer[type] } },
-          { binding: 2, resource: { buffer: this.input_buffer[type] } },
-          { binding: 3, resource: { buffer: this.result_buffer[type] } },
-        ],
-      });
+  // Creates the GPU buffers and pipeline of an automaton, null if it has to run on the CPU
+  async #createResources(type, automaton) {
+    if (!this.gpu_available) {
+      return null;
+    }
+
+    const gpu = {
+      input_buffer: null,
+      result_buffer: null,
+      readback_buffer: null,
+      transition_buffer: null,
+      output_buffer: null,
+      compute_pipeline: null,
+      bind_group: null,
+      max_batch: this.max_batch,   // JARMs the buffers hold
+      users: 0,          // match() calls using the resources
+      retired: false,    // replaced, destroyed once unused
+      tail: Promise.resolve(),   // last queued match, calls share the input and readback buffers
+    };
+
+    try {
+      // the scopes are popped whatever happens, so they do not catch the errors of later GPU calls
+      this.device.pushErrorScope('validation');
+      this.device.pushErrorScope('out-of-memory');
+      let errors = [];
+      try {
+        this.#buildResources(type, automaton, gpu);
+      }
+      finally {
+        errors = [await this.device.popErrorScope(), await this.device.popErrorScope()];
+      }
+      const gpu_error = errors.find(Boolean);
+      if (gpu_error) {
+        throw new Error(gpu_error.message);
+      }
 
-      this.ready[type] = true;
-      const start = performance.now();
-      await this.#warmup(type);
-      const duration = performance.now() - start;
-      console.log(`[+] [${type}] Warm-up scan completed in ${duration.toFixed(2)} ms`);
       console.log(`[+] [${type}] WebGPU pipeline ready.`);
+      return gpu;
     }
     catch (error) {
-      this.ready[type] = false;
-      console.error(`[ERROR] [${type}] Error preparing GPU computation:`, error);
+      console.error(`[ERROR] [${type}] Error preparing GPU computation, falling back to CPU:`, error);
+      gpu.retired = true;
+      this.#release(gpu);
+      return null;
     }
   }
 
-  // just perform a scan to warmup the pipeline
-  async #warmup(type) {
-    return await this.match(["00000000000000000000000000000000000000000000000000000000000000"], type);
+  // Creates the buffers, pipeline and bind group of an automaton into gpu (inside validation and out-of-memory error scopes)
+  #buildResources(type, automaton, gpu) {
+    gpu.input_buffer = this.device.createBuffer({
+      label: `input_${type}`,
+      size: JARM_LENGTH * 4 * gpu.max_batch,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    gpu.result_buffer = this.device.createBuffer({
+      label: `result_${type}`,
+      size: gpu.max_batch * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    });
+
+    gpu.readback_buffer = this.device.createBuffer({
+      label: `readback_${type}`,
+      size: gpu.max_batch * 4,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+    });
+
+    gpu.transition_buffer = this.device.createBuffer({
+      label: `transitions_${type}`,
+      size: automaton.table.byteLength,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+    this.queue.writeBuffer(gpu.transition_buffer, 0, automaton.table);
+
+    // the bitmap trie has no output table: transitions, input, result
+    const dense = automaton.encoding !== 'bitmap';
+    const buffers = [gpu.transition_buffer];
+
+    if (dense) {
+      gpu.output_buffer = this.device.createBuffer({
+        label: `output_flags_${type}`,
+        size: automaton.output.byteLength,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      });
+      this.queue.writeBuffer(gpu.output_buffer, 0, automaton.output);
+      buffers.push(gpu.output_buffer);
+    }
+    buffers.push(gpu.input_buffer, gpu.result_buffer);
+    
+    const bindGroupLayout = this.device.createBindGroupLayout({
+      entries: buffers.map((buffer, binding) => ({
+        binding,
+        visibility: GPUShaderStage.COMPUTE,
+        buffer: { type: buffer === gpu.result_buffer ? 'storage' : 'read-only-storage' },
+      })),
+    });
+
+    const pipelineLayout = this.device.createPipelineLayout({
+      bindGroupLayouts: [bindGroupLayout],
+    });
+
+    gpu.compute_pipeline = this.device.createComputePipeline({
+      layout: pipelineLayout,
+      compute: { 
+        module: this.shader_modules[dense ? 'dense' : 'bitmap'], 
+        entryPoint: "main" 
+      },
+    });
+    
+    // Create and cache bind group using the explicit layout
+    gpu.bind_group = this.device.createBindGroup({
+      layout: bindGroupLayout,
+      entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } })),
+    });
   }
 
-  // reset all buffers
-  #destroy(type) {
-    if (this.input_buffer[type]) {
-      this.input_buffer[type].destroy();
-      this.input_buffer[type] = null;
+  // just perform a scan to warmup the pipeline, a type whose warm-up fails matches on the CPU from then on
+  async #warmup(type) {
+    const start = performance.now();
+    try {
+      await this.match(["00000000000000000000000000000000000000000000000000000000000000"], type);
     }
-    if (this.result_buffer[type]) {
-      this.result_buffer[type].destroy();
-      this.result_buffer[type] = null;
+    catch (error) {
+      console.error(`[ERROR] [${type}] GPU warm-up failed, falling back to CPU:`, error);
+      this.#useCPU(type);
+      return;
     }
-    if (this.readback_buffer[type]) {
-      this.readback_buffer[type].destroy();
-      this.readback_buffer[type] = null;
+    const duration = performance.now() - start;
+    console.log(`[+] [${type}] Warm-up scan completed in ${duration.toFixed(2)} ms`);
+  }
+
+  // Retires GPU resources, the buffers are destroyed when no match() is using them anymore
+  #release(gpu) {
+    if (!gpu) {
+      return;
     }
-    if (this.transition_buffer[type]) {
-      this.transition_buffer[type].destroy();
-      this.transition_buffer[type] = null;
+    gpu.retired = true;
+    if (gpu.users > 0) {
+      return;
     }
-    if (this.output_buffer[type]) {
-      this.output_buffer[type].destroy();
-      this.output_buffer[type] = null;
+
+    for (const buffer of [gpu.input_buffer, gpu.result_buffer, gpu.readback_buffer, gpu.transition_buffer, gpu.output_buffer]) {
+      buffer?.destroy();
     }
-    
-    this.bind_group[type] = null;
-    this.compute_pipeline[type] = null;
-    this.ready[type] = false;
+    gpu.bind_group = null;
+    gpu.compute_pipeline = null;
   }
 
+  /**
+   * Returns the matched pattern ID for each JARM (0 when nothing matched)
+   * Any number of JARMs: they are matched in chunks of max_batch. Calls on the same
+   * automaton run one after the other, each one reads back only its own results.
+   */
   async match(jarms, type) {
-    console.time(`[+] [${type}] Match`);
-
     if (!this.ready[type]) {
       throw new Error(`[${type}] Automaton not ready for match()!`);
     }
 
+    const start = performance.now();
+    let results;
+
+    if (this.backend[type] === 'cpu') {
+      results = this.matchCPU(jarms, type);
+    }
+    else {
+      // the resources in use right now, an update swapping the automaton meanwhile does not affect this match
+      const gpu = this.gpu[type];
+      gpu.users++;
+
+      const run = gpu.tail.then(() => this.#matchGPU(gpu, jarms, type));
+      gpu.tail = run.catch(() => {});
+
+      try {
+        results = await run;
+      }
+      finally {
+        gpu.users--;
+        if (gpu.retired) {
+          this.#release(gpu);
+        }
+      }
+    }
+
+    console.log(`[+] [${type}] Match: ${jarms.length} JARMs in ${(performance.now() - start).toFixed(2)} ms`);
+    return results;
+  }
+
+
+  // Runs the chunks of one call, the buffers are sized for max_batch JARMs
+  async #matchGPU(gpu, jarms, type) {
+    const results = new Array(jarms.length);
+
+    for (let offset = 0; offset < jarms.length; offset += gpu.max_batch) {
+      const chunk = jarms.slice(offset, offset + gpu.max_batch);
+      const ids = await this.#dispatch(gpu, chunk, type);
+      for (let i = 0; i < ids.length; i++) {
+        results[offset + i] = ids[i];
+      }
+    }
+
+    return results;
+  }
+
+
+  // One dispatch of at most max_batch JARMs
+  async #dispatch(gpu, jarms, type) {
     let input_data = new Uint32Array(jarms.length * JARM_LENGTH);
     for (let i = 0; i < jarms.length; i++) {
       const jarm = jarms[i];
@@ -443,21 +877,21 @@ export class AhoCorasick {
     }
     
     // Upload input data to GPU
-    this.queue.writeBuffer(this.input_buffer[type], 0, input_data.buffer, 0, input_data.byteLength);
+    this.queue.writeBuffer(gpu.input_buffer, 0, input_data.buffer, 0, input_data.byteLength);
     
     const command_encoder = this.device.createCommandEncoder();
     const compute_pass = command_encoder.beginComputePass();
-    compute_pass.setPipeline(this.compute_pipeline[type]);
-    compute_pass.setBindGroup(0, this.bind_group[type]);
+    compute_pass.setPipeline(gpu.compute_pipeline);
+    compute_pass.setBindGroup(0, gpu.bind_group);
     
     const numWorkgroups = Math.ceil(jarms.length / WORKGROUP_SIZE);
     compute_pass.dispatchWorkgroups(numWorkgroups);
     compute_pass.end();
     
     command_encoder.copyBufferToBuffer(
-      this.result_buffer[type], 
+      gpu.result_buffer, 
       0, 
-      this.readback_buffer[type], 
+      gpu.readback_buffer, 
       0, 
       jarms.length * 4
     );
@@ -465,18 +899,86 @@ export class AhoCorasick {
     this.queue.submit([command_encoder.finish()]);
   
     try {
-      await this.readback_buffer[type].mapAsync(GPUMapMode.READ, 0, jarms.length * 4);
-      const data = new Uint32Array(this.readback_buffer[type].getMappedRange(0, jarms.length * 4));
-      const results = Array.from(data, (value) => value === 1);
-      console.timeEnd(`[+] [${type}] Match`);
-      return results;
+      await gpu.readback_buffer.mapAsync(GPUMapMode.READ, 0, jarms.length * 4);
+      const data = new Uint32Array(gpu.readback_buffer.getMappedRange(0, jarms.length * 4));
+      return Array.from(data);
     }
     catch (error) {
       console.error(`[ERROR] [${type}] Match readback failed:`, error);
       throw error;
     }
     finally {
-      this.readback_buffer[type].unmap(); // send to gpu again
+      if (gpu.readback_buffer.mapState === 'mapped') {
+        gpu.readback_buffer.unmap(); // send to gpu again
+      }
     }
   }
-}
\ No newline at end of file
+
+
+  // Matches on the CPU in this thread, whatever the backend of the type
+  matchCPU(jarms, type) {
+    if (!this.ready[type]) {
+      throw new Error(`[${type}] Automaton not ready for matchCPU()!`);
+    }
+    return this.active_encoding[type] === 'bitmap'
+      ? this.#matchBitmapCPU(jarms, type)
+      : this.#matchCPU(jarms, type);
+  }
+
+
+  // Same walk as payload.wgsl, over the same dense table
+  #matchCPU(jarms, type) {
+    const table = this.table[type];
+    const output = this.output[type];
+    const results = new Array(jarms.length);
+
+    for (let i = 0; i < jarms.length; i++) {
+      const jarm = jarms[i];
+      let state = 0;
+      let found = 0;
+
+      for (let j = 0; j < JARM_LENGTH; j++) {
+        const c = mapCharCode(jarm.charCodeAt(j));
+        if (c === -1) {
+          // not a JARM, nothing can match
+          found = 0;
+          break;
+        }
+        state = table[state * ALPHABET_SIZE + c];
+        found = Math.max(found, output[state]);
+      }
+      results[i] = found;
+    }
+
+    return results;
+  }
+
+
+  // Same walk as payload_bitmap.wgsl, over the bitmap trie
+  #matchBitmapCPU(jarms, type) {
+    const table = this.table[type];
+    const results = new Array(jarms.length);
+
+    for (let i = 0; i < jarms.length; i++) {
+      const jarm = jarms[i];
+      let node = 0;
+      let matched = true;
+
+      for (let j = 0; j < JARM_LENGTH; j++) {
+        const c = mapCharCode(jarm.charCodeAt(j));
+        const mask = table[node * 2];
+        const bit = 1 << c;
+        if (c === -1 || (mask & bit) === 0) {
+          matched = false;
+          break;
+        }
+        node = table[node * 2 + 1] + countBits(mask & (bit - 1));
+      }
+
+      // the leaf holds the pattern ID
+      results[i] = matched ? table[node * 2 + 1] : 0;
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ *    Allowlist (allowlist.js)
+ *    User exceptions, consulted before the blacklist and before scanning.
+ *
+ *    Entry: { id, kind, value, scope, expires, added }
+ *      kind:    'host' (exact host), 'wildcard' (*.example.com, the domain and all its subdomains)
+ *               or 'jarm' (a specific fingerprint, wherever it is served from)
+ *      scope:   'always' (chrome.storage.local) or 'session' (chrome.storage.session)
+ *      expires: timestamp in ms, or null for no expiry
+*/
+
+
+const JARM_REGEX = /^[0-9a-f]{62}$/;
+const HOST_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+export const ALLOWLIST_KINDS = ['host', 'wildcard', 'jarm'];
+
+
+function storageFor(scope) {
+  return scope === 'session' ? chrome.storage.session : chrome.storage.local;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return Boolean(entry.expires) && entry.expires <= now;
+}
+
+
+// Validates and normalizes an entry value, throws on invalid input
+export function normalizeAllowlistValue(kind, value) {
+  const normalized = String(value || '').trim().toLowerCase();
+
+  if (kind === 'host' && HOST_REGEX.test(normalized)) {
+    return normalized;
+  }
+  if (kind === 'wildcard' && normalized.startsWith('*.') && HOST_REGEX.test(normalized.slice(2))) {
+    return normalized;
+  }
+  if (kind === 'jarm' && JARM_REGEX.test(normalized)) {
+    return normalized;
+  }
+
+  throw new Error(`Invalid ${kind} allowlist value: ${value}`);
+}
+
+
+// Returns all the non-expired entries (both scopes)
+export async function getAllowlist() {
+  const [local, session] = await Promise.all([
+    chrome.storage.local.get('allowlist'),
+    chrome.storage.session.get('allowlist'),
+  ]);
+
+  const now = Date.now();
+  return [...(local['allowlist'] || []), ...(session['allowlist'] || [])]
+    .filter(entry => !isExpired(entry, now));
+}
+
+
+// Adds an entry, returns it. An existing entry with the same kind and value is replaced.
+export async function addAllowlistEntry({ kind, value, scope = 'always', expires = null }) {
+  if (!ALLOWLIST_KINDS.includes(kind)) {
+    throw new Error(`Invalid allowlist kind: ${kind}`);
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    kind,
+    value: normalizeAllowlistValue(kind, value),
+    scope: scope === 'session' ? 'session' : 'always',
+    expires: expires || null,
+    added: Date.now(),
+  };
+
+  const storage = storageFor(entry.scope);
+  const data = await storage.get('allowlist');
+  const entries = (data['allowlist'] || [])
+    .filter(old => !isExpired(old) && !(old.kind === entry.kind && old.value === entry.value));
+
+  entries.push(entry);
+  await storage.set({ 'allowlist': entries });
+  return entry;
+}
+
+
+// Removes an entry by ID (from whichever scope holds it)
+export async function removeAllowlistEntry(id) {
+  for (const scope of ['always', 'session']) {
+    const storage = storageFor(scope);
+    const data = await storage.get('allowlist');
+    const entries = data['allowlist'] || [];
+    const remaining = entries.filter(entry => entry.id !== id);
+
+    if (remaining.length !== entries.length) {
+      await storage.set({ 'allowlist': remaining });
+    }
+  }
+}
+
+
+// Drops the expired entries from storage
+export async function pruneAllowlist() {
+  for (const scope of ['always', 'session']) {
+    const storage = storageFor(scope);
+    const data = await storage.get('allowlist');
+    const entries = data['allowlist'] || [];
+    const remaining = entries.filter(entry => !isExpired(entry));
+
+    if (remaining.length !== entries.length) {
+      await storage.set({ 'allowlist': remaining });
+    }
+  }
+}
+
+
+// Returns the first entry that allows the host and/or JARM, or null
+export function findAllowlistEntry(entries, { host, jarm }) {
+  const now = Date.now();
+
+  for (const entry of entries) {
+    if (isExpired(entry, now)) {
+      continue;
+    }
+    if (entry.kind === 'host' && host && entry.value === host) {
+      return entry;
+    }
+    if (entry.kind === 'wildcard' && host) {
+      const domain = entry.value.slice(2);
+      if (host === domain || host.endsWith(`.${domain}`)) {
+        return entry;
+      }
+    }
+    if (entry.kind === 'jarm' && jarm && entry.value === jarm) {
+      return entry;
+    }
+  }
+
+  return null;
+}
+
+// End of Allowlist (allowlist.js)
@@ -6,35 +6,81 @@
 */
 
 import { AhoCorasick } from "./aho_corasick.js";
-import { loadAutomaton } from "./cache.js";
+import { assignPatternIds, normalizePatterns } from "./patterns.js";
+import { addAllowlistEntry, findAllowlistEntry, getAllowlist, pruneAllowlist } from "./allowlist.js";
+import { migrateStorage } from "./migrations.js";
+import { clearScanCache, configureScanCache, forgetScan, lookupScan, saveScan, setScanVerdict } from "./scanCache.js";
+import { NativeScanner } from "./nativePort.js";
+import { blacklistPort, requestServer, resolveTarget, targetKey } from "./target.js";
+import { syncBlockRules } from "./blockRules.js";
+import { enforce } from "./enforcement.js";
+import { dueFeeds, getFeeds } from "./feeds.js";
+import { getCategories, mostSevere } from "./categories.js";
+import { MatcherSet } from "./matchers.js";
+import { configureEventLog, logEvent } from "./eventLog.js";
+import { defaultSettings, getSettings, migrateSettings, onSettingsChanged, SETTINGS } from "./settings.js";
+import { forgetToolbar, setToolbar, toolbarState } from "./toolbar.js";
+import { capAction, getSiteModes, setSiteMode, siteModeFor, siteOf } from "./siteModes.js";
+import { addBlocked, addTracker, changedTabIds, claimTarget, pruneTabStates, readTabState, removeTabState,
+  resetTabState, setVerdict } from "./tabState.js";
+import { WARNING_PAGE } from "./warningPage.js";
+import { ScanQueue } from "./scanQueue.js";
+import { classifyFailure, classifyResponse, retryDelay } from "./scanResult.js";
 import { gpu_match_test, cpu_worker_test} from "./tester.js";
 
 // Aho Corasick Instance
 let aho = null;
 let ahoInitPromise = null;
+let dataset_update = null;
+let matchers = null;
+let categories = [];      // see categories.js, one automaton each
+let settings = defaultSettings();
+let scanned_reset_interval = null;
 let flush_timeout = null;
 let pending_scans = [];
 const scanned_domains = new Set();
-const tab_domain_tracker = {};
 
 const NATIVE_HOST_NAME = "com.papou.jarm_scanner";
-const WARNING_PAGE = "./redirect_page/blocked.html";
+const FEED_CHECK_INTERVAL_MS = 5 * 60 * 1000;
 
-// systematic cleanup of scanned domains every 5 minutes
-setInterval(() => {
-  scanned_domains.clear();
-}, 300000);
+// single native host process, shared by all the scans
+// the scan queue limits the concurrent scans, the port itself is allowed the highest limit
+const native_scanner = new NativeScanner(NATIVE_HOST_NAME, { max_concurrent: SETTINGS.scan_max_concurrent.max });
 
-// periodic update of the JARM dataset every 8 hours
+// one scan per host:port at a time, navigations first (see scanQueue.js), transient failures are retried
+const scan_queue = new ScanQueue(fingerprint, {
+  retry: (result, attempt) => retryDelay(result, attempt, settings.scan_retries),
+});
+
+// the settings (see settings.js) are applied on every start, and again whenever they change
+const settings_ready = migrateSettings()
+  .then(() => getSettings())
+  .then((stored) => applySettings(stored))
+  .catch((error) => console.error("[-] Loading settings failed, using the defaults:", error));
+
+// the rules of the allowlist entries that expired while the service worker was not running
+syncBlockRules();
+
+onSettingsChanged((next, previous) => {
+  applySettings(next, previous).catch((error) => console.error("[-] Applying settings failed:", error));
+});
+
+// periodic update of the JARM dataset, every few minutes we check whether a feed is due for a refresh or a retry
 setInterval(async () => {
-  await Promise.all([
-    aho.jarmFetcher.fetch_blocklist_jarms(),
-    aho.jarmFetcher.fetch_tracker_jarms(),
-  ]);
-}, 28800000);
+  await settings_ready;
+  const due = dueFeeds(await getFeeds(), settings.feed_refresh_hours);
+  if (due.length === 0) {
+    return;
+  }
 
-const BATCH_TIMEOUT_MS = 1000; // Trigger scan after 1 seconds
-const MAX_BATCH_SIZE = 50;     // Trigger scan after 50 items
+  console.log(`[+] Feeds due for a refresh: ${due.map(feed => feed.id).join(', ')}`);
+  try {
+    await updateDataset(due);
+  }
+  catch (error) {
+    console.error("[-] Periodic dataset update failed:", error);
+  }
+}, FEED_CHECK_INTERVAL_MS);
 
 // upon installation listener
 chrome.runtime.onInstalled.addListener(async () => {
@@ -45,10 +91,13 @@ chrome.runtime.onInstalled.addListener(async () => {
     // download the shell script for the installation process
     // await downloadFile('conf/install.sh');
     
+    await migrateStorage();
     await getInstance();
     await chrome.storage.local.set({ 'blacklist': [] });
-    await chrome.storage.local.set({ 'trackers': {} });
+    await pruneTabStates((await chrome.tabs.query({})).map(tab => tab.id));
     await chrome.storage.local.set({ 'active': true });
+    await syncBlockRules();
+    await refreshAllToolbars();
   }
   catch (error) {
     console.error("[-] Installation failed!", error);
@@ -62,9 +111,13 @@ chrome.runtime.onInstalled.addListener(async () => {
 chrome.runtime.onStartup.addListener(async () => {
   if (!aho) {
     try{
+      await migrateStorage();
+      await pruneAllowlist();
       await getInstance();
       await chrome.storage.local.set({ 'blacklist': [] });
-      await chrome.storage.local.set({ 'trackers': {} });
+      await pruneTabStates((await chrome.tabs.query({})).map(tab => tab.id));
+      await syncBlockRules();
+      await refreshAllToolbars();
     }
     catch (error) {
       console.error("[-] Error during startup:", error);
@@ -84,104 +137,228 @@ chrome.webRequest.onBeforeRequest.addListener(
     }
     
     const url = details.url;
-    const domain = new URL(url).hostname;
     
     // block extension requests
     if (url.includes("chrome-extension://")){
       return;
     }
 
+    // the server of the request, and the host:port that gets fingerprinted (null for schemes we do not scan)
+    await settings_ready;
+    const server = requestServer(url);
+    const target = resolveTarget(url, settings.non_tls_policy);
+
+    // a new page in the tab, the popup shows its scan
+    if (details.type === 'main_frame' && details.tabId >= 0) {
+      await resetTabState(details.tabId, target && { host: target.host, port: target.port, url });
+    }
+
+    if (!server) {
+      return;
+    }
+    const domain = server.host;
+
     // Skip invalid tab IDs (service workers, background requests)
     if (details.tabId < 0) {
       return;
     }
+
+    // the mode of the site in the tab, a site turned off is neither blocked nor scanned
+    const page_tab = details.type === 'main_frame' ? null : await chrome.tabs.get(details.tabId).catch(() => null);
+    const mode = siteModeFor(await getSiteModes(), details.type === 'main_frame' ? url : pageUrl(page_tab));
+    if (mode === 'off') {
+      return;
+    }
     
+    // allowlisted hosts are neither blocked nor scanned
+    const allowlist = await getAllowlist();
+    if (findAllowlistEntry(allowlist, { host: domain })) {
+      return;
+    }
+
     // check if the domain name matches with one of the blacklist
     // maybe we add a total blocked on the popup
     const data = await chrome.storage.local.get('blacklist');
     const blacklist = data['blacklist'] || [];
 
-    if (blacklist.includes(domain)) {
-      console.log(`[!] Domain ${domain} is on the blacklist. Redirecting immediately.`);
-      chrome.tabs.update(details.tabId, { url: chrome.runtime.getURL(WARNING_PAGE) });
+    // whatever the scheme, the non-TLS policy only decides what is scanned
+    // on a site in 'count' mode the blacklisted server is scanned and counted like any other
+    const blocked = findBlacklistEntry(blacklist, domain, blacklistPort(server));
+    if (blocked && !findAllowlistEntry(allowlist, { jarm: blocked.jarm }) && capAction('block', mode) !== 'count') {
+      const port = blacklistPort(server);
+      const key = targetKey(domain, port);
+      console.log(`[!] ${key} is on the blacklist (${details.type}). Enforcing immediately.`);
+      const tab = await chrome.tabs.get(details.tabId).catch(() => null);
+      if (tab) {
+        const action = await enforce({ ...blocked, url, type: details.type, frameId: details.frameId }, tab);
+        const first = await setVerdict(details.tabId, key, blocked.category?.id || 'blocklist', { add: true });
+        await addBlocked(details.tabId, { domain, port, url, type: details.type, action });
+
+        // one event per server and page, not one per request
+        if (!first) {
+          return;
+        }
+        await logEvent({
+          tab_id: details.tabId,
+          tab_url: tab.url,
+          url,
+          type: details.type,
+          host: domain,
+          port,
+          ip: blocked.ip,
+          jarm: blocked.jarm,
+          category: blocked.category || { id: 'blocklist', name: 'blocklist' },
+          pattern: blocked.pattern,
+          action: capAction('block', mode),
+          enforcement: action,
+          source: 'blacklist',
+        });
+      }
       return;
     }
 
-    const alreadyScannedForTab = tab_domain_tracker[details.tabId]?.[domain];
-    const globallyScanned = scannedDomain(domain);
-    
-    // If globally scanned and already checked for this tab, skip
-    if (globallyScanned && alreadyScannedForTab) {
+    if (!target) {
       return;
     }
+    const { port, key } = target;
 
     // Mark as scanned globally for malicious checks
+    // check and add run with no await in between, requests racing past it are coalesced by the scan queue (one scan per host:port)
+    const globallyScanned = scannedDomain(key);
     if (!globallyScanned) {
-      scanned_domains.add(domain);
+      scanned_domains.add(key);
     }
-    
-    // Mark as scanned for this tab (for tracker counting)
-    if (!tab_domain_tracker[details.tabId]) {
-      tab_domain_tracker[details.tabId] = {};
+
+    // Mark as scanned for this tab (for tracker counting), skip if it was already checked for both
+    const newForTab = await claimTarget(details.tabId, key);
+    if (globallyScanned && !newForTab) {
+      return;
     }
-    tab_domain_tracker[details.tabId][domain] = true;
-    
-    const start = performance.now();
-    chrome.runtime.sendNativeMessage(
-      NATIVE_HOST_NAME,
-      { target: domain },
-      async (response) => {
-        const duration = performance.now() - start;
-        
-        if (chrome.runtime.lastError) {
-          console.error(`[-] Native host error for ${domain}:`, chrome.runtime.lastError.message);
-          return;
-        }
-        
-        console.log(`[+] [Time: ${duration.toFixed(2)} ms] JARM response for ${domain}:`, response);
-        
-        scheduler({
-          domain,
-          tabId: details.tabId,
-          url: details.url,
-          jarm: response.JARM,
-          frameId: details.frameId,
-        });  
+
+    // reuse a cached scan of the host, the cache survives service worker restarts
+    const cached = await lookupScan(domain, port);
+    if (cached) {
+      if (cached.error) {
+        console.log(`[+] Scan of ${key} failed recently (${cached.outcome}: ${cached.error}), not retrying yet.`);
+        scanned_domains.delete(key);
+        await setVerdict(details.tabId, key, 'error');
+        return;
       }
-    );
+
+      scheduler({
+        domain,
+        port,
+        tabId: details.tabId,
+        url: details.url,
+        jarm: cached.jarm,
+        ip: cached.ip,
+        frameId: details.frameId,
+        type: details.type,
+      });
+      return;
+    }
+
+    await scanTarget({ domain, port, tabId: details.tabId, url, frameId: details.frameId, type: details.type });
   },
   { urls: ["<all_urls>"] }
 );
 
 
+/**
+ * Fingerprints host:port with the native host, run by the scan queue
+ * Returns a typed result (see scanResult.js), cached unless it is retried.
+ */
+async function fingerprint(domain, port, attempt = 0) {
+  const key = targetKey(domain, port);
+  const start = performance.now();
+  let result;
+  try {
+    const response = await native_scanner.scan(domain, port);
+    console.log(`[+] [Time: ${(performance.now() - start).toFixed(2)} ms] JARM response for ${key}:`, response);
+    result = classifyResponse(response);
+  }
+  catch (error) {
+    result = classifyFailure(error);
+  }
+
+  if (result.outcome !== 'success') {
+    const retry_in = retryDelay(result, attempt, settings.scan_retries);
+    if (retry_in !== null) {
+      console.warn(`[!] Scan of ${key} failed (${result.outcome}: ${result.error}), retry ${attempt + 1} in ${retry_in} ms`);
+      return result;
+    }
+    console.error(`[-] Scan of ${key} failed (${result.outcome}):`, result.error);
+  }
+
+  await saveScan({ host: domain, port, ...result });
+  return result;
+}
+
+
+// Waits for the scan of host:port and schedules the match, requests for the same host:port share the scan
+async function scanTarget({ domain, port, tabId, url, frameId, type }) {
+  const key = targetKey(domain, port);
+  const result = await scan_queue.enqueue({ host: domain, port, tabId, type });
+  if (!result) {
+    console.log(`[+] Scan of ${key} cancelled, tab ${tabId} was closed`);
+    return;
+  }
+
+  // not scanned after all, the next request scans again once the failure leaves the scan cache
+  if (result.outcome !== 'success') {
+    scanned_domains.delete(key);
+    await setVerdict(tabId, key, 'error');
+    return;
+  }
+
+  scheduler({
+    domain,
+    port,
+    tabId,
+    url,
+    jarm: result.jarm,
+    ip: result.ip,
+    frameId,
+    type,
+  });
+}
+
+
+// keep the declarativeNetRequest rules in line with the blacklist and the allowlist
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (changes.blacklist || changes.allowlist || changes.site_modes) {
+    syncBlockRules();
+  }
+
+  // the toolbar button follows the scans of the tabs, the on/off switch and the site modes of the popup
+  if (changes.active || changes.site_modes) {
+    refreshAllToolbars().catch((error) => console.error("[-] Refreshing the toolbar buttons failed:", error));
+  }
+  else if (area === 'session') {
+    for (const tabId of changedTabIds(changes)) {
+      refreshToolbar(tabId).catch((error) => console.error("[-] Refreshing the toolbar button failed:", error));
+    }
+  }
+
+  // categories added or removed on the options page get (or lose) their automaton
+  if (changes.categories && aho) {
+    syncCategories().catch((error) => console.error("[-] Syncing categories failed:", error));
+  }
+
+  // matcher backend picked on the options page
+  if (changes.matcher_backend && matchers) {
+    matchers.setOverride(changes.matcher_backend.newValue || 'auto');
+    chrome.storage.local.set({ 'matcher_status': matchers.status() });
+  }
+});
+
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   // Update dataset from github source
   if (message.action === "updateJarmDataset") {
-    console.log("[+] Starting JARM dataset update from GitHub...");
-    Promise.all([
-      aho.jarmFetcher.fetch_blocklist_jarms(),
-      aho.jarmFetcher.fetch_tracker_jarms(),
-    ])
-    .then(async ([blocklistJarms, trackerJarms]) => {
-      console.log(`[+] Fetched ${blocklistJarms.length} blocklist JARMs and ${trackerJarms.length} tracker JARMs`);
-      
-      await chrome.storage.local.set({
-        ['jarms']: {
-          blocklist: blocklistJarms,
-          trackers: trackerJarms,
-        },
-        lastUpdated: new Date().toString(),
-      });
-      console.log("[+] Saved patterns to storage");
-      
-      // Rebuild automaton with new patterns
-      console.log("[+] Rebuilding automaton...");
-      aho = null;
-      ahoInitPromise = null;
-      await getInstance();
-      
-      console.log("[+] Dataset update complete!");
+    updateDataset()
+    .then(() => {
       sendResponse({ status: "success" });
     })
     .catch((error) => {
@@ -191,18 +368,244 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // "Recalibrate" from the options page
+  if (message.action === "calibrateMatchers") {
+    calibrateMatchers()
+      .then((status) => sendResponse({ status: "success", matchers: status }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  // scan details of a tab for the popup
+  if (message.action === "getTabState") {
+    getTabState(message.tabId)
+      .then((state) => sendResponse({ status: "success", state }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  // protection mode of the site in the tab, from the popup
+  if (message.action === "setSiteMode") {
+    setSiteMode(message.domain, message.mode)
+      .then(() => sendResponse({ status: "success" }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  // "Rescan now" from the popup
+  if (message.action === "rescanTab") {
+    rescanTab(message.tabId)
+      .then(() => sendResponse({ status: "success" }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  // "Clear scan cache" from the options page
+  if (message.action === "clearScanCache") {
+    scanned_domains.clear();
+    clearScanCache()
+      .then(() => sendResponse({ status: "success" }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  // "Proceed anyway" from the blocked page, allowlists the exact host
+  // only from the blocked page in its own tab, never from a copy framed by a web page
+  if (message.action === "addException") {
+    if (!fromTopLevelPage(sender, WARNING_PAGE)) {
+      sendResponse({ status: "error", message: "Exceptions are only added from the blocked page in its own tab" });
+      return;
+    }
+    // the block rules of the host must be gone before the page navigates to it
+    addAllowlistEntry({ kind: 'host', value: message.domain, scope: message.scope })
+      .then(() => syncBlockRules())
+      .then(() => sendResponse({ status: "success" }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  // "Report false positive" from the blocked page
+  if (message.action === "reportFalsePositive") {
+    reportFalsePositive(message.report)
+      .then(() => sendResponse({ status: "success" }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
   return false;
 });
 
 
-// Checks whether a domain has been scanned or not
-function scannedDomain(domain) {
-  return scanned_domains.has(domain);
+/**
+ * Downloads the enabled feeds and updates the automata, an update already running is joined
+ * feeds: the feeds to download, only their categories are rebuilt (null downloads every feed)
+ */
+function updateDataset(feeds = null) {
+  if (!dataset_update) {
+    dataset_update = runDatasetUpdate(feeds).finally(() => {
+      dataset_update = null;
+    });
+  }
+  return dataset_update;
+}
+
+
+async function runDatasetUpdate(feeds = null) {
+  console.log("[+] Starting JARM dataset update from the configured feeds...");
+  await getInstance();
+
+  // the other feeds of a rebuilt category reuse their last good download
+  const refresh_ids = feeds && feeds.map(feed => feed.id);
+  const updated = feeds ? categories.filter(category => feeds.some(feed => feed.category === category.id)) : categories;
+
+  // a category none of whose feeds could be downloaded keeps its current set
+  const results = await Promise.allSettled(updated.map(category => aho.jarmFetcher.fetch_category_jarms(category.id, refresh_ids)));
+  const fetched = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`[-] [${updated[i].id}] Keeping the current JARMs:`, result.reason);
+    }
+    else {
+      fetched.push({ category: updated[i], patterns: result.value });
+    }
+  });
+  console.log(`[+] Fetched ${fetched.map(({ category, patterns }) => `${patterns.length} ${category.id}`).join(', ')} JARMs`);
+  
+  // keep the IDs of the JARMs we already know about, and the categories not rebuilt as they are
+  const stored = await chrome.storage.local.get('jarms');
+  const previous = stored['jarms'] || {};
+  const jarms = {};
+  // a category never fetched successfully stays out, so the next start fetches it again
+  for (const category of categories) {
+    if (previous[category.id]) {
+      jarms[category.id] = normalizePatterns(previous[category.id]);
+    }
+  }
+  for (const { category, patterns } of fetched) {
+    jarms[category.id] = assignPatternIds(patterns, jarms[category.id]);
+  }
+
+  await chrome.storage.local.set({
+    ['jarms']: jarms,
+    lastUpdated: new Date().toString(),
+  });
+  console.log("[+] Saved patterns to storage");
+  
+  // the new automata are built next to the ones in use, scans keep running until they are swapped in
+  console.log("[+] Updating automata...");
+  for (const { category } of fetched) {
+    await aho.update(category.id, jarms[category.id]);
+  }
+
+  // the automata (and maybe their encoding) changed, so may the fastest matcher
+  calibrateMatchers().catch((error) => console.error("[-] Matcher calibration failed:", error));
+  
+  console.log("[+] Dataset update complete!");
 }
 
 
-// Adds a domain to the blacklist in chrome local storage
-async function addToBlackList(domain) {
+/**
+ * Makes the settings the ones in use
+ * previous: the settings they replace, null on start (the automata are not created yet)
+ */
+async function applySettings(next, previous = null) {
+  settings = next;
+
+  configureScanCache({
+    ttl: next.scan_cache_ttl_hours * 3600000,
+    negative_ttl: next.scan_cache_negative_ttl_minutes * 60000,
+    max_entries: next.scan_cache_max_entries,
+  });
+  configureEventLog({
+    max_age_days: next.event_log_max_age_days,
+    max_events: next.event_log_max_events,
+  });
+  scan_queue.configure({
+    max_concurrent: next.scan_max_concurrent,
+    rate_per_second: next.scan_rate_per_second,
+  });
+
+  // systematic cleanup of the scanned domains
+  if (next.scanned_hosts_reset_minutes !== previous?.scanned_hosts_reset_minutes) {
+    clearInterval(scanned_reset_interval);
+    scanned_reset_interval = setInterval(() => {
+      scanned_domains.clear();
+    }, next.scanned_hosts_reset_minutes * 60000);
+  }
+
+  if (!previous || !aho) {
+    return;
+  }
+
+  const batching = next.max_batch_size !== previous.max_batch_size || next.gpu_max_batch !== previous.gpu_max_batch;
+  const encoding = next.automaton_encoding !== previous.automaton_encoding;
+  if (!batching && !encoding) {
+    return;
+  }
+
+  await getInstance();
+  await aho.setMaxBatch(next.gpu_max_batch);
+  if (encoding) {
+    await aho.setDefaultEncoding(next.automaton_encoding);
+  }
+  await calibrateMatchers();
+}
+
+
+// Loads the automata of new categories and drops the ones of removed categories
+async function syncCategories() {
+  await getInstance();
+  categories = await getCategories();
+  const ids = categories.map(category => category.id);
+
+  for (const type of aho.types()) {
+    if (!ids.includes(type)) {
+      await aho.removeType(type);
+    }
+  }
+  for (const category of categories) {
+    // a new encoding rebuilds the automaton, a new category is built with it
+    const encoding = category.encoding || null;
+    if ((aho.encoding[category.id] || null) !== encoding) {
+      await aho.setEncoding(category.id, encoding);
+    }
+    if (!aho.types().includes(category.id)) {
+      await aho.loadPatterns(category.id);
+    }
+  }
+
+  calibrateMatchers().catch((error) => console.error("[-] Matcher calibration failed:", error));
+}
+
+
+// Times the matcher backends on the current automata, the result shows in the options page diagnostics
+async function calibrateMatchers() {
+  await getInstance();
+  const status = await matchers.calibrate([1, 10, settings.max_batch_size]);
+  console.log("[+] Matcher calibration:", status.timings);
+  await chrome.storage.local.set({ 'matcher_status': status });
+  return status;
+}
+
+
+// Checks whether a host:port key has been scanned or not
+function scannedDomain(key) {
+  return scanned_domains.has(key);
+}
+
+
+// Finds the blacklist entry of host:port (entries without a port predate port scanning, i.e. 443)
+function findBlacklistEntry(blacklist, domain, port) {
+  return blacklist.find(entry => entry.domain === domain && (entry.port || 443) === port);
+}
+
+
+/**
+ * Adds a host:port to the blacklist in chrome local storage
+ * Each entry keeps the JARM, the matched pattern and its category, so every block can be audited:
+ * { domain, port, jarm, ip, blocked_at, pattern: { id, feed, label, added }, category: { id, name } }
+ */
+async function addToBlackList(domain, port, { jarm, ip, pattern, category }) {
   try {
     // get the current blocked domains from storage
     const data = await chrome.storage.local.get('blacklist');
@@ -214,8 +617,16 @@ async function addToBlackList(domain) {
 
     const blacklist = data['blacklist'] || [];
     
-    if(!blacklist.includes(domain)) {
-      blacklist.push(domain);
+    if(!findBlacklistEntry(blacklist, domain, port)) {
+      blacklist.push({
+        domain,
+        port,
+        jarm,
+        ip,
+        blocked_at: Date.now(),
+        pattern,
+        category,
+      });
       await chrome.storage.local.set({ 'blacklist': blacklist });
       if (chrome.runtime.lastError) {
         console.error("[-] Error adding domain to blacklist:", chrome.runtime.lastError);
@@ -229,10 +640,21 @@ async function addToBlackList(domain) {
 }
 
 
-function scheduler({ domain, tabId, url, jarm, frameId }) {
-  pending_scans.push({ domain, tabId, url, jarm, frameId });
+// Stores a false positive report locally
+async function reportFalsePositive(report) {
+  const data = await chrome.storage.local.get('false_positives');
+  const reports = data['false_positives'] || [];
+
+  reports.push({ ...report, reported_at: Date.now() });
+  await chrome.storage.local.set({ 'false_positives': reports });
+  console.log(`[+] False positive reported for ${report.domain}`);
+}
+
+
+function scheduler({ domain, port, tabId, url, jarm, ip, frameId, type }) {
+  pending_scans.push({ domain, port, tabId, url, jarm, ip, frameId, type });
 
-  if (pending_scans.length >= MAX_BATCH_SIZE) {
+  if (pending_scans.length >= settings.max_batch_size) {
     console.log(`[+] Batch full (${pending_scans.length}), sending to GPU immediately.`);
     clearTimeout(flush_timeout);
     flush_timeout = null;
@@ -243,46 +665,150 @@ function scheduler({ domain, tabId, url, jarm, frameId }) {
   if (!flush_timeout) {
     flush_timeout = setTimeout(() => {
       sendToGPU();
-    }, BATCH_TIMEOUT_MS);
+    }, settings.batch_timeout_ms);
   }
 }
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    if (changeInfo.status === 'loading') {
-        if (tab.url && tab.url.startsWith('chrome://')) return;
-
-        // Clear per-tab domain tracking on navigation
-        delete tab_domain_tracker[tabId];
-
-        const data = await chrome.storage.local.get('trackers');
-        const counts = data['trackers'] || {};
-        
-        if (counts[tabId] !== undefined && counts[tabId] !== 0) {
-            counts[tabId] = 0;
-            await chrome.storage.local.set({ 'trackers': counts });
-        } else if (counts[tabId] === undefined) {
-            counts[tabId] = 0;
-            await chrome.storage.local.set({ 'trackers': counts });
-        }
+    // web pages are reset by their main_frame request, the rest (chrome://, file://, ...) are never scanned
+    // the blocked page keeps the state of the page it replaced
+    if (changeInfo.status === 'loading' && !/^https?:/.test(tab.url || '') &&
+        !tab.url?.startsWith(chrome.runtime.getURL(WARNING_PAGE))) {
+        await resetTabState(tabId).catch((error) => console.error("[-] Resetting the tab state failed:", error));
+    }
+
+    if (changeInfo.status || changeInfo.url) {
+        refreshToolbar(tabId).catch((error) => console.error("[-] Refreshing the toolbar button failed:", error));
     }
 });
 
 
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    refreshToolbar(tabId).catch((error) => console.error("[-] Refreshing the toolbar button failed:", error));
+});
+
+
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
-    // Clean up per-tab domain tracking
-    delete tab_domain_tracker[tabId];
-    
-    const data = await chrome.storage.local.get('trackers');
-    const counts = data['trackers'] || {};
-    delete counts[tabId]; 
-    await chrome.storage.local.set({ 'trackers': counts });
+    const dropped = scan_queue.cancelTab(tabId);
+    if (dropped > 0) {
+        console.log(`[+] Dropped ${dropped} queued scan(s) of closed tab ${tabId}`);
+    }
+    await removeTabState(tabId);
+    forgetToolbar(tabId);
 });
 
-async function incrementTrackerCount(tabId) {
-    const data = await chrome.storage.local.get('trackers');
-    const counts = data['trackers'] || {};
-    counts[tabId] += 1;
-    await chrome.storage.local.set({ 'trackers': counts });
+
+// Whether a message comes from the top frame of one of our own pages
+function fromTopLevelPage(sender, path) {
+  try {
+    return sender.id === chrome.runtime.id && sender.frameId === 0 && new URL(sender.url).pathname === path;
+  }
+  catch (error) {
+    return false;
+  }
+}
+
+
+/**
+ * What the popup shows for a tab (see tabState.js): the scan of its site, the trackers and the blocked servers,
+ * and the site of the page (its registrable domain) with its mode (see siteModes.js)
+ * site.status: 'pending', 'clean', 'matched', 'allowlisted', or the outcome of a failed scan (see scanResult.js)
+ */
+async function getTabState(tabId) {
+    const state = await readTabState(tabId);
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+
+    let site = null;
+    if (state.site) {
+        const { host, port, url } = state.site;
+        const allowlisted = Boolean(findAllowlistEntry(await getAllowlist(), { host }));
+        const verdict = state.verdicts[targetKey(host, port)];
+        const scan = await lookupScan(host, port);
+
+        // not scanned for the tab, or still matching
+        let status = allowlisted ? 'allowlisted' : 'pending';
+        if (verdict === 'error') {
+            // what went wrong (see scanResult.js), scans cached by older versions only have the error
+            status = scan?.outcome && scan.outcome !== 'success' ? scan.outcome : 'error';
+        }
+        else if (verdict === 'clean') {
+            status = verdict;
+        }
+        else if (verdict && verdict !== 'pending') {
+            status = 'matched';
+        }
+
+        // the verdict of a match is the ID of the category
+        const category = status === 'matched'
+            ? (await getCategories()).find(category => category.id === verdict) || { id: verdict, name: verdict }
+            : null;
+        site = {
+            host,
+            port,
+            url,
+            status,
+            jarm: scan?.jarm || null,
+            ip: scan?.ip || null,
+            scanned_at: scan?.scanned_at || null,
+            error: scan?.error || null,
+            category: category && { id: category.id, name: category.name, action: category.action },
+        };
+    }
+
+    return {
+        domain: siteOf(pageUrl(tab)),
+        mode: siteModeFor(await getSiteModes(), pageUrl(tab)),
+        site,
+        trackers: state.trackers,
+        tracker_count: state.trackers.length,
+        blocked: state.blocked,
+    };
+}
+
+
+// Shows the state of a tab on its toolbar button (see toolbar.js)
+async function refreshToolbar(tabId) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) {
+        return;
+    }
+
+    const data = await chrome.storage.local.get('active');
+    const state = await getTabState(tabId);
+    // a site turned off shows like the extension turned off
+    await setToolbar(tabId, toolbarState({ ...state, active: Boolean(data['active']) && state.mode !== 'off', tab_url: tab.url }), state.tracker_count);
+}
+
+
+async function refreshAllToolbars() {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        await refreshToolbar(tab.id);
+    }
+}
+
+
+// URL of the page in a tab, the one it is navigating to while it has not committed yet
+function pageUrl(tab) {
+    return tab?.url || tab?.pendingUrl || '';
+}
+
+
+// Scans the site of a tab again, skipping the scan cache and the scanned hosts
+async function rescanTab(tabId) {
+    const { site } = await readTabState(tabId);
+    if (!site) {
+        throw new Error("Nothing to scan on this tab");
+    }
+
+    const key = targetKey(site.host, site.port);
+    console.log(`[+] Rescanning ${key} for tab ${tabId}`);
+    scanned_domains.delete(key);
+    await forgetScan(site.host, site.port);
+
+    // the popup shows the scan as pending until the match is done
+    await setVerdict(tabId, key, 'pending', { add: true });
+    await scanTarget({ domain: site.host, port: site.port, tabId, url: site.url, frameId: 0, type: 'main_frame' });
 }
 
 
@@ -306,21 +832,27 @@ async function sendToGPU() {
     
     // const startTime = performance.now();
     
-    // match 2 automata in parallel
-    const [blocklist_results, trackers_results] = await Promise.all([
-      aho.match(jarm_list, "blocklist"),  
-      aho.match(jarm_list, "trackers")
-    ]);
+    // match the automata of all the categories in parallel, each with its selected backend
+    const active = categories.filter(category => aho.ready[category.id]);
+    const results = await Promise.all(active.map(category => matchers.match(jarm_list, category.id)));
 
     // const results = await aho.match(jarm_list);
     // const duration = performance.now() - startTime;
     // console.log(`[+] Batch processing completed in ${duration.toFixed(2)} ms`);
-    console.log(`[+] Results:`, blocklist_results, trackers_results);
+    console.log(`[+] Results:`, Object.fromEntries(active.map((category, i) => [category.id, results[i]])));
+
+    const allowlist = await getAllowlist();
 
     for (let i = 0; i < batch.length; i++) {
-      const { domain, tabId, url } = batch[i];
-      const isMalicious = blocklist_results[i];
-      const isTracker = trackers_results[i];
+      const { domain, port, tabId, url, jarm, ip, frameId, type } = batch[i];
+      const key = targetKey(domain, port);
+      
+      // pattern IDs, 0 means no match. When several categories match, the most severe action wins
+      const hits = active.filter((category, c) => results[c][i]);
+      const hit = mostSevere(hits);
+      const pattern_id = hit ? results[active.indexOf(hit)][i] : 0;
+
+      await setScanVerdict(domain, port, ip, hit ? hit.id : 'clean');
 
       // Skip invalid tab IDs (must be non-negative integer)
       if (!Number.isInteger(tabId) || tabId < 0) {
@@ -328,6 +860,9 @@ async function sendToGPU() {
         continue;
       }
 
+      // the verdict for the tab, unless it navigated away meanwhile
+      await setVerdict(tabId, key, hit ? hit.id : 'clean');
+
       // Check if the tab is still valid before taking action
       const tab = await chrome.tabs.get(tabId).catch((err) => {
         console.log(`[+] Failed to get tab ${tabId}:`, err.message);
@@ -338,16 +873,60 @@ async function sendToGPU() {
         continue;
       }
       
-      if (isMalicious) {
-        await addToBlackList(domain);
+      // the allowlist also covers specific JARMs, which are only known after the scan
+      if (findAllowlistEntry(allowlist, { host: domain, jarm })) {
+        console.log(`[+] ${domain} is allowlisted, skipping`);
+        continue;
+      }
 
-        if (tab.url === url) {
-          chrome.tabs.update(tabId, { url: chrome.runtime.getURL(WARNING_PAGE) });
+      if (!hit) {
+        continue;
+      }
+
+      // the site in the tab can lower the action (see siteModes.js)
+      const mode = siteModeFor(await getSiteModes(), type === 'main_frame' ? url : pageUrl(tab));
+      const hit_action = capAction(hit.action, mode);
+      if (!hit_action) {
+        console.log(`[+] ${key} matched ${hit.id}, protection is off on the site of tab ${tabId}`);
+        continue;
+      }
+
+      const pattern = aho.getPattern(pattern_id, hit.id) || { id: pattern_id };
+      const category = { id: hit.id, name: hit.name };
+      console.log(`[!] ${key} matched ${hit.id} pattern #${pattern.id} (feed: ${pattern.feed}, label: ${pattern.label}), ` +
+        `action '${hit_action}'${hit_action === hit.action ? '' : ` (site mode '${mode}')`}`);
+
+      let enforcement = null;
+      if (hit_action === 'block' || hit_action === 'warn') {
+        // a warned server is not blacklisted, the page is shown again on the next visit until it is allowlisted
+        if (hit_action === 'block') {
+          await addToBlackList(domain, port, { jarm, ip, pattern, category });
         }
-      } 
-      else if (isTracker) {
-        await incrementTrackerCount(tabId);
+
+        // what happens to the tab depends on the resource type and frame of the request
+        enforcement = await enforce({ domain, port, ip, jarm, pattern, category, url, type, frameId }, tab, { hit_action });
+        console.log(`[!] ${key} (${type}, frame ${frameId}) enforced with '${enforcement}' on tab ${tabId}`);
+        await addBlocked(tabId, { domain, port, url, type, action: enforcement });
+      }
+      else if (hit_action === 'count') {
+        await addTracker(tabId, { host: domain, port, category });
       }
+
+      await logEvent({
+        tab_id: tabId,
+        tab_url: tab.url,
+        url,
+        type,
+        host: domain,
+        port,
+        ip,
+        jarm,
+        category,
+        pattern,
+        action: hit_action,
+        enforcement,
+        source: 'scan',
+      });
     }
   }
   catch (error) {
@@ -360,50 +939,42 @@ async function sendToGPU() {
 // Singleton, ensures that the Aho is only one and if not we create a new one.
 async function getInstance() {
   
-  if (aho) {
-    return;
-  }
-  
   // Prevent race conditions - return existing initialization promise
+  // (aho and matchers are set together once the initialization succeeded, a failed one is tried again on the next call)
   if (ahoInitPromise) {
     await ahoInitPromise;
     return;
   }
 
+  if (aho) {
+    return;
+  }
+
   // Create initialization promise to prevent race conditions
   ahoInitPromise = (async () => {
-    // load from cache
-    const blocklist_cached = await loadAutomaton("blocklist"); 
-    const tracker_cached = await loadAutomaton("trackers");
+    await settings_ready;
+    categories = await getCategories();
 
-    aho = new AhoCorasick();
-    await aho.init();
+    // a category without an encoding of its own follows the 'automaton_encoding' setting
+    const encoding = Object.fromEntries(categories
+      .filter(category => category.encoding)
+      .map(category => [category.id, category.encoding]));
+    const instance = new AhoCorasick({ encoding, default_encoding: settings.automaton_encoding, max_batch: settings.gpu_max_batch });
+    await instance.init();
 
-    if (blocklist_cached && tracker_cached) {
-      console.log("[#] Blocklist cached num_states:", blocklist_cached.num_states);
-      // console.log("[#] Blocklist cached table size:", blocklist_cached.table.byteLength);
-      // console.log("[#] Blocklist cached output size:", blocklist_cached.output.byteLength);
-      
-      aho.num_states['blocklist'] = blocklist_cached.num_states;
-      aho.table['blocklist'] = blocklist_cached.table;
-      aho.output['blocklist'] = blocklist_cached.output;
-      
-      console.log("[#] trackers cached num_states:", tracker_cached.num_states);
-      // console.log("[#] trackers cached table size:", tracker_cached.table.byteLength);
-      // console.log("[#] trackers cached output size:", tracker_cached.output.byteLength);
-      
-      aho.num_states['trackers'] = tracker_cached.num_states;
-      aho.table['trackers'] = tracker_cached.table;
-      aho.output['trackers'] = tracker_cached.output;
-      
-      await aho.prepareGPU("blocklist");
-      await aho.prepareGPU("trackers");
-    }
-    else {
-      // otherwise just load patterns
-      await aho.loadPatterns('blocklist');
-      await aho.loadPatterns('trackers');
+    // the cached automata are used when they match the stored patterns, otherwise they are rebuilt
+    for (const category of categories) {
+      await instance.loadPatterns(category.id);
     }
+
+    // matches go through the automaton until the calibration picked the fastest backend
+    const stored = await chrome.storage.local.get('matcher_backend');
+    const instance_matchers = new MatcherSet(instance);
+    instance_matchers.setOverride(stored['matcher_backend'] || 'auto');
+
+    aho = instance;
+    matchers = instance_matchers;
+    calibrateMatchers().catch((error) => console.error("[-] Matcher calibration failed:", error));
   })();
   
   try {
@@ -440,23 +1011,15 @@ export async function downloadFile(filename) {
 
 // Fetches JARMs from a list of domains
 async function getJarms(domains) {
-  const results = domains.map(domain => {
-    return new Promise((resolve) => {
-      chrome.runtime.sendNativeMessage(
-        NATIVE_HOST_NAME,
-        { 
-          target: domain 
-        },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            console.error(`[-] Native host error for ${domain}:`, chrome.runtime.lastError.message);
-            resolve(null);
-            return;
-          }
-          resolve(response?.JARM || null);
-        }
-      );
-    });
+  const results = domains.map(async (domain) => {
+    try {
+      const response = await native_scanner.scan(domain);
+      return response?.JARM || null;
+    }
+    catch (error) {
+      console.error(`[-] Native host error for ${domain}:`, error.message);
+      return null;
+    }
   });
 
   const jarms = await Promise.all(results);
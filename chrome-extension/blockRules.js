@@ -0,0 +1,246 @@
+/**
+ *    Block Rules (blockRules.js)
+ *    Compiles the blacklist into declarativeNetRequest dynamic rules, so known-bad servers
+ *    are blocked synchronously by the browser, before any request leaves it.
+ *
+ *    Every blacklist entry (host:port) becomes two rules, matching that exact host and port like the webRequest listener:
+ *      - frames whose policy is not 'block' (see enforcement.js) are redirected to the blocked page
+ *      - every other request to the server is blocked
+ *    They are regex rules and share their quota. Redirect rules also count against the quota of unsafe rules,
+ *    the newest entries get them.
+ *    An entry past that quota keeps its block rule only, its frames are left to the webRequest listener.
+ *
+ *    Allowlist entries that expire lift no rule by themselves, the rules are synced again when the first one expires.
+ *
+ *    Every site with a mode other than 'block' (see siteModes.js) gets one more rule, which lets
+ *    the pages of the site (its registrable domain and subdomains) load everything, they are handled by the webRequest listener alone.
+*/
+
+import { findAllowlistEntry, getAllowlist } from "./allowlist.js";
+import { enforcementAction, FRAME_TYPES } from "./enforcement.js";
+import { WARNING_PAGE, warningPageQuery } from "./warningPage.js";
+import { getSiteModes } from "./siteModes.js";
+
+
+// Constants
+const RULE_PRIORITY = 1;
+const SITE_RULE_PRIORITY = 2;   // above the blacklist rules
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// every dynamic rule belongs to the blacklist and the site modes, the quotas are shared with nothing else
+const MAX_DYNAMIC_RULES = chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES
+  ?? chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES
+  ?? 5000;
+
+// redirect rules are 'unsafe', they also count against this one
+const MAX_UNSAFE_RULES = chrome.declarativeNetRequest.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES
+  ?? MAX_DYNAMIC_RULES;
+
+// the rules of the blacklist are regex rules, they also count against this one
+const MAX_REGEX_RULES = chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES ?? 1000;
+
+// syncs run one after the other
+let sync_chain = Promise.resolve();
+let expiry_timer = null;
+
+
+// A host as it appears in a URL, escaped for a regex
+function hostPattern(domain) {
+  return (domain.includes(':') ? `[${domain}]` : domain).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+
+/**
+ * Regex of a blacklisted server, the exact host and port (see blacklistPort in target.js)
+ * Port 443 also stands for the non-TLS schemes on any port. The default port is never part of a normalized URL.
+ */
+function regexFilter(domain, port) {
+  const host = hostPattern(domain);
+  if (port !== 443) {
+    return `^(https|wss)://${host}:${port}/`;
+  }
+  return `^((https|wss)://${host}(:443)?|(http|ws)://${host}(:[0-9]+)?)/`;
+}
+
+
+// Frame types redirected to the blocked page instead of being blocked
+function redirectedTypes() {
+  return FRAME_TYPES.filter(type => enforcementAction(type) !== 'block');
+}
+
+
+// The rules of one blacklist entry (without IDs), the block rule alone when redirect is false
+function entryRules(entry, redirect) {
+  const filter = regexFilter(entry.domain, entry.port || 443);
+  const redirected = redirectedTypes();
+
+  const block = {
+    priority: RULE_PRIORITY,
+    action: { type: 'block' },
+    condition: { regexFilter: filter },
+  };
+
+  if (redirected.length === 0) {
+    return [block];
+  }
+
+  // the frames are left to the redirect rule, or to the webRequest listener
+  block.condition.excludedResourceTypes = redirected;
+  if (!redirect) {
+    return [block];
+  }
+  return [
+    {
+      priority: RULE_PRIORITY,
+      action: {
+        type: 'redirect',
+        redirect: { extensionPath: `${WARNING_PAGE}?${warningPageQuery(entry)}` },
+      },
+      condition: { regexFilter: filter, resourceTypes: redirected },
+    },
+    block,
+  ];
+}
+
+
+// The rule of a site with a mode other than 'block', everything its pages load is allowed
+// requestDomains covers the subdomains too, a site being a registrable domain they are the same site
+function siteRule(domain) {
+  return {
+    priority: SITE_RULE_PRIORITY,
+    action: { type: 'allowAllRequests' },
+    condition: { requestDomains: [domain], resourceTypes: ['main_frame'] },
+  };
+}
+
+
+// Identifies a rule by what it does, so unchanged rules are kept as they are
+function ruleSignature(rule) {
+  return JSON.stringify([
+    rule.action.type,
+    rule.action.redirect?.extensionPath ?? null,
+    rule.condition.urlFilter ?? null,
+    rule.condition.regexFilter ?? null,
+    rule.condition.requestDomains ?? null,
+    rule.condition.resourceTypes ?? null,
+    rule.condition.excludedResourceTypes ?? null,
+  ]);
+}
+
+
+// Syncs the rules again when the first allowlist entry expires, its server is blocked again from then on
+function scheduleExpiry(allowlist) {
+  clearTimeout(expiry_timer);
+  expiry_timer = null;
+
+  const expiries = allowlist.map(entry => entry.expires).filter(Boolean);
+  if (expiries.length === 0) {
+    return;
+  }
+
+  const delay = Math.min(Math.max(Math.min(...expiries) - Date.now(), 0), MAX_TIMEOUT_MS);
+  expiry_timer = setTimeout(() => {
+    expiry_timer = null;
+    syncBlockRules();
+  }, delay);
+}
+
+
+async function sync() {
+  const data = await chrome.storage.local.get('blacklist');
+  const allowlist = await getAllowlist();
+  const site_domains = Object.keys(await getSiteModes());
+
+  // newest entries first, they are the ones kept when the quota runs out
+  const entries = (data['blacklist'] || [])
+    .filter(entry => !findAllowlistEntry(allowlist, { host: entry.domain, jarm: entry.jarm }))
+    .sort((a, b) => (b.blocked_at || 0) - (a.blocked_at || 0));
+
+  const desired = new Map();
+  for (const domain of site_domains) {
+    const rule = siteRule(domain);
+    desired.set(ruleSignature(rule), rule);
+  }
+
+  // each quota on its own: the redirect rules against the unsafe one, all the rules against the general and regex ones
+  const redirecting = redirectedTypes().length > 0;
+  let rule_count = desired.size;
+  let regex_count = 0;
+  let redirect_count = 0;
+  let entry_count = 0;
+
+  for (const entry of entries) {
+    const redirect = redirecting && redirect_count < MAX_UNSAFE_RULES;
+    const rules = entryRules(entry, redirect);
+    if (rule_count + rules.length > MAX_DYNAMIC_RULES || regex_count + rules.length > MAX_REGEX_RULES) {
+      break;
+    }
+
+    for (const rule of rules) {
+      desired.set(ruleSignature(rule), rule);
+    }
+    rule_count += rules.length;
+    regex_count += rules.length;
+    redirect_count += redirect ? 1 : 0;
+    entry_count++;
+  }
+
+  if (entry_count < entries.length) {
+    console.warn(`[!] Blacklist has ${entries.length} entries, only the newest ${entry_count} fit in the dynamic rule quota. ` +
+      `The rest is enforced by the webRequest listener only.`);
+  }
+  if (redirecting && redirect_count < entry_count) {
+    console.warn(`[!] Only the newest ${redirect_count} blacklist entries fit in the unsafe rule quota. ` +
+      `The frames of the rest are redirected by the webRequest listener only.`);
+  }
+
+  scheduleExpiry(allowlist);
+
+  // diff against the installed rules
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  const removeRuleIds = [];
+  const used_ids = new Set();
+
+  for (const rule of existing) {
+    const signature = ruleSignature(rule);
+    if (desired.has(signature)) {
+      desired.delete(signature);
+      used_ids.add(rule.id);
+    }
+    else {
+      removeRuleIds.push(rule.id);
+    }
+  }
+
+  // IDs of removed rules can be reused in the same update
+  const addRules = [];
+  let next_id = 1;
+  for (const rule of desired.values()) {
+    while (used_ids.has(next_id)) {
+      next_id++;
+    }
+    used_ids.add(next_id);
+    addRules.push({ ...rule, id: next_id });
+  }
+
+  if (removeRuleIds.length === 0 && addRules.length === 0) {
+    return;
+  }
+
+  await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+  console.log(`[+] Block rules synced: ${addRules.length} added, ${removeRuleIds.length} removed.`);
+}
+
+
+/**
+ * Brings the dynamic rules in line with the blacklist, the allowlist and the site modes
+ * Resolves once the rules are installed. Called on every start of the service worker, the expiry timer does not outlive it.
+ */
+export function syncBlockRules() {
+  sync_chain = sync_chain
+    .then(sync)
+    .catch((error) => console.error("[-] Syncing block rules failed:", error));
+  return sync_chain;
+}
+
+// End of Block Rules (blockRules.js)
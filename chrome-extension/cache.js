@@ -8,31 +8,53 @@
 
 // Constants
 const AUTOMATON_CACHE_NAME = "automaton_cache";
+const FEED_CACHE_NAME = "feed_cache";
+
+
+// the layout of the cached automaton, bump it whenever the table format changes
+export const AUTOMATON_SCHEMA_VERSION = 2;
+
+// u32 per state in the table and in the output, per encoding (see aho_corasick.js)
+const LAYOUTS = {
+  dense: { table_width: 16, output_width: 1 },
+  bitmap: { table_width: 2, output_width: 0 },
+};
 
 
 // Paths for cache requests
-// eg. type can be 'blocklist' or 'trackers', so 2 different automatons
-function getNumStates(type) {
-  return `https://cache/automaton/${type}/num_states`;  
+// type is a category ID (eg. 'blocklist' or 'trackers'), one automaton per category
+// The manifest points to the generation holding the arrays, so a new automaton is
+// written next to the old one and only becomes visible once the manifest is replaced.
+function getManifest(type) {
+  return `https://cache/automaton/${type}/manifest`;
 }
 
-function getTable(type) {
-  return `https://cache/automaton/${type}/table`;
+function getTable(type, generation) {
+  return `https://cache/automaton/${type}/${generation}/table`;
 }
 
-function getOutput(type) {
-  return `https://cache/automaton/${type}/output`;
+function getOutput(type, generation) {
+  return `https://cache/automaton/${type}/${generation}/output`;
 } 
 
-function getPatterns(type) {
-  return `https://cache/automaton/${type}/patterns`;
+// entries of the unversioned layout (before the manifest)
+function getLegacyEntries(type) {
+  return ['num_states', 'table', 'output', 'patterns'].map(name => `https://cache/automaton/${type}/${name}`);
+}
+
+function getFeedBody(feed_id) {
+  return `https://cache/feeds/${encodeURIComponent(feed_id)}/body`;
 }
 
+
 /**
  * Save the automaton into Cache
- * { num_states: Integer, table: Uint32Array, output: Uint32Array }
+ * { encoding: String, num_states: Integer, table: Uint32Array, output: Uint32Array }
+ * digest: digest of the pattern set it was built from (see patternSetDigest)
+ *
+ * Manifest: { schema_version, generation, encoding, digest, built_at, num_states, table_length, output_length }
  */
-export async function saveAutomaton(automaton, type) {
+export async function saveAutomaton(automaton, type, digest) {
 
   if (!type) {
     console.error("[-] type is not defined!");
@@ -41,14 +63,35 @@ export async function saveAutomaton(automaton, type) {
 
   try {
     const cache = await caches.open(AUTOMATON_CACHE_NAME);
+    const previous = await readManifest(cache, type);
+    const generation = (previous?.generation || 0) + 1;
+
+    const manifest = {
+      schema_version: AUTOMATON_SCHEMA_VERSION,
+      generation,
+      encoding: automaton.encoding || 'dense',
+      digest,
+      built_at: Date.now(),
+      num_states: automaton.num_states,
+      table_length: automaton.table.length,
+      output_length: automaton.output.length,
+    };
 
-    const states = new Response(String(automaton.num_states));
-    const table = new Response(automaton.table);
-    const output = new Response(automaton.output);
+    await cache.put(getTable(type, generation), new Response(automaton.table));
+    await cache.put(getOutput(type, generation), new Response(automaton.output));
 
-    await cache.put(getNumStates(type), states);
-    await cache.put(getTable(type), table);
-    await cache.put(getOutput(type), output);
+    // the arrays are complete, switch the manifest over to them
+    await cache.put(getManifest(type), new Response(JSON.stringify(manifest)));
+
+    if (previous?.generation) {
+      await cache.delete(getTable(type, previous.generation));
+      await cache.delete(getOutput(type, previous.generation));
+    }
+    else {
+      for (const url of getLegacyEntries(type)) {
+        await cache.delete(url);
+      }
+    }
   } 
   catch (error) {
     console.error("[-] saveAutomaton (CacheAPI) failed:", error);
@@ -56,37 +99,113 @@ export async function saveAutomaton(automaton, type) {
 }
 
 
+async function readManifest(cache, type) {
+  const response = await cache.match(getManifest(type));
+  if (!response) {
+    return null;
+  }
+  try {
+    return JSON.parse(await response.text());
+  }
+  catch (error) {
+    return null;
+  }
+}
+
+
+// Returns why a cached automaton cannot be used, null if it is valid
+function validateAutomaton(manifest, automaton, digest, encoding) {
+  if (manifest.schema_version !== AUTOMATON_SCHEMA_VERSION) {
+    return `schema version ${manifest.schema_version}, expected ${AUTOMATON_SCHEMA_VERSION}`;
+  }
+  if (encoding && automaton.encoding !== encoding) {
+    return `encoded as '${automaton.encoding}', expected '${encoding}'`;
+  }
+  if (digest && manifest.digest !== digest) {
+    return "built from a different pattern set";
+  }
+
+  const layout = LAYOUTS[automaton.encoding];
+  if (!layout) {
+    return `unknown encoding '${automaton.encoding}'`;
+  }
+
+  const { num_states, table, output } = automaton;
+  if (!Number.isInteger(num_states) || num_states < 1) {
+    return `invalid number of states (${num_states})`;
+  }
+  const table_length = num_states * layout.table_width;
+  if (table.length !== table_length || table.length !== manifest.table_length) {
+    return `table has ${table.length} entries, expected ${table_length}`;
+  }
+  const output_length = num_states * layout.output_width;
+  if (output.length !== output_length || output.length !== manifest.output_length) {
+    return `output has ${output.length} entries, expected ${output_length}`;
+  }
+
+  if (automaton.encoding === 'dense') {
+    for (let i = 0; i < table.length; i++) {
+      if (table[i] >= num_states) {
+        return `transition ${i} points outside the table`;
+      }
+    }
+  }
+  else {
+    // [child mask, first child] per node, the first child of a leaf is a pattern ID
+    for (let i = 0; i < table.length; i += 2) {
+      if (table[i] > 0xffff || (table[i] !== 0 && table[i + 1] >= num_states)) {
+        return `node ${i / 2} points outside the table`;
+      }
+    }
+  }
+  return null;
+}
+
+
 /**
  * Load the automaton from Cache
- * Returns { num_states: Integer, table: Uint32Array, output: Uint32Array }
+ * digest: the automaton must have been built from this pattern set (skipped when null)
+ * encoding: the automaton must use this encoding (skipped when null)
+ * Returns { encoding: String, num_states: Integer, table: Uint32Array, output: Uint32Array, manifest },
+ * or null when there is no valid cached automaton (it has to be rebuilt).
  */
-export async function loadAutomaton(type) {
+export async function loadAutomaton(type, digest = null, encoding = null) {
   try {
     const startTime = performance.now();
     const cache = await caches.open(AUTOMATON_CACHE_NAME);
 
-    const states_response = await cache.match(getNumStates(type));
-    const table_response = await cache.match(getTable(type));
-    const output_response = await cache.match(getOutput(type));
-    
-    if (!states_response || !table_response || !output_response) {
+    const manifest = await readManifest(cache, type);
+    if (!manifest) {
       console.log(`[-] Automaton with type '${type}' not found in cache`);
       return null;
     }
 
-    const num_states = parseInt(await states_response.text());
-    const table = new Uint32Array(await table_response.arrayBuffer());
-    const output = new Uint32Array(await output_response.arrayBuffer());
+    const table_response = await cache.match(getTable(type, manifest.generation));
+    const output_response = await cache.match(getOutput(type, manifest.generation));
+    if (!table_response || !output_response) {
+      console.warn(`[!] Automaton '${type}' in cache is incomplete, it will be rebuilt`);
+      return null;
+    }
+
+    const automaton = {
+      encoding: manifest.encoding || 'dense',
+      num_states: manifest.num_states,
+      table: new Uint32Array(await table_response.arrayBuffer()),
+      output: new Uint32Array(await output_response.arrayBuffer()),
+      manifest,
+    };
+
+    const problem = validateAutomaton(manifest, automaton, digest, encoding);
+    if (problem) {
+      console.warn(`[!] Cached automaton '${type}' is stale (${problem}), it will be rebuilt`);
+      return null;
+    }
     
     const endTime = performance.now();
-    console.log(`[+] Automaton '${type}' loaded from cache in ${(endTime - startTime).toFixed(2)} ms`);
+    console.log(`[+] Automaton '${type}' loaded from cache in ${(endTime - startTime).toFixed(2)} ms ` +
+      `(built ${new Date(manifest.built_at).toLocaleString()})`);
     
-    return { 
-      num_states, 
-      table, 
-      output 
-    };
-
+    return automaton;
   }
   catch (error) {
     console.error("[-] loadAutomaton failed:", error);
@@ -96,49 +215,63 @@ export async function loadAutomaton(type) {
 
 
 /**
- * Save the patterns list to Cache (for testing purposes)
+ * Clear the cache
  */
-export async function savePatterns(patterns, type) {
+export async function clearCache(type) {
   try {
     const cache = await caches.open(AUTOMATON_CACHE_NAME);
-    const response = new Response(JSON.stringify(patterns));
-    await cache.put(getPatterns(type), response);
-    console.log(`[+] Patterns '${type}' saved to cache.`);
+    const manifest = await readManifest(cache, type);
+    await cache.delete(getManifest(type));
+    if (manifest?.generation) {
+      await cache.delete(getTable(type, manifest.generation));
+      await cache.delete(getOutput(type, manifest.generation));
+    }
   } 
   catch (error) {
-    console.error("[-] Saving patterns failed:", error);
+    console.error("[-] clearAutomatonCache failed:", error);
   }
 }
 
 
 /**
- * Load the patterns from cache
+ * Save the last good body of a feed (it passed integrity and validation checks)
  */
-export async function fetchCachedPatterns(type) {
+export async function saveFeedBody(feed_id, body) {
   try {
-    const cache = await caches.open(AUTOMATON_CACHE_NAME);
-    const response = await cache.match(getPatterns(type));
+    const cache = await caches.open(FEED_CACHE_NAME);
+    await cache.put(getFeedBody(feed_id), new Response(body));
+  }
+  catch (error) {
+    console.error("[-] Saving feed body failed:", error);
+  }
+}
 
-    return JSON.parse(await response.text());
+
+/**
+ * Load the last good body of a feed, null if there is none
+ */
+export async function loadFeedBody(feed_id) {
+  try {
+    const cache = await caches.open(FEED_CACHE_NAME);
+    const response = await cache.match(getFeedBody(feed_id));
+    return response ? await response.text() : null;
   }
   catch (error) {
-    console.error("[-] Loading patterns failed:", error);
+    console.error("[-] Loading feed body failed:", error);
     return null;
   }
 }
 
 
 /**
- * Clear the cache
+ * Remove the last good body of a feed
  */
-export async function clearCache(type) {
+export async function clearFeedBody(feed_id) {
   try {
-    const cache = await caches.open(AUTOMATON_CACHE_NAME);
-    await cache.delete(getNumStates(type));
-    await cache.delete(getTable(type));
-    await cache.delete(getOutput(type));
-  } 
+    const cache = await caches.open(FEED_CACHE_NAME);
+    await cache.delete(getFeedBody(feed_id));
+  }
   catch (error) {
-    console.error("[-] clearAutomatonCache failed:", error);
+    console.error("[-] Clearing feed body failed:", error);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,125 @@
+/**
+ *    Categories (categories.js)
+ *    Threat categories, stored under 'categories' in chrome.storage.local.
+ *    Every category has its own feeds (feed.category), its own automaton and an action for the servers it matches.
+ *
+ *    Category: { id, name, action, encoding }
+ *      id:       short lowercase name, also the automaton type (see aho_corasick.js and cache.js)
+ *      action:   'block' - the server is blacklisted and the tab is enforced (see enforcement.js)
+ *                'warn'  - the tab is enforced like for 'block', but the server is not blacklisted
+ *                'count' - the server is counted for the tab (shown in the popup)
+ *                'log'   - the match is only logged
+ *      encoding: encoding of the automaton (see ENCODINGS in aho_corasick.js), null for the 'automaton_encoding' setting
+*/
+
+import { SETTINGS } from "./settings.js";
+
+
+export const CATEGORY_ACTIONS = ['block', 'warn', 'count', 'log'];
+export const CATEGORY_ENCODINGS = SETTINGS.automaton_encoding.values;
+
+// when a JARM matches several categories, the first action of this list wins
+const ACTION_SEVERITY = ['block', 'warn', 'count', 'log'];
+
+const ID_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export const DEFAULT_CATEGORIES = [
+  { id: "blocklist", name: "Malicious servers", action: "block", encoding: null },
+  { id: "trackers", name: "Ad trackers", action: "count", encoding: null },
+];
+
+// writes to 'categories' run one after the other
+let update_chain = Promise.resolve();
+
+
+function updateCategories(callback) {
+  const result = update_chain.then(async () => {
+    const categories = await getCategories();
+    const updated = await callback(categories);
+    await chrome.storage.local.set({ 'categories': updated });
+    return updated;
+  });
+
+  update_chain = result.catch(() => {});
+  return result;
+}
+
+
+// Returns the categories (the defaults until the user changes anything)
+export async function getCategories() {
+  const data = await chrome.storage.local.get('categories');
+  return data['categories'] || structuredClone(DEFAULT_CATEGORIES);
+}
+
+
+// Validates and normalizes a category, throws on invalid input
+export function normalizeCategory(category) {
+  const id = String(category.id || '').trim().toLowerCase();
+  if (!ID_REGEX.test(id)) {
+    throw new Error(`Invalid category ID: ${category.id} (lowercase letters, digits, '-' and '_', up to 32)`);
+  }
+  if (!CATEGORY_ACTIONS.includes(category.action)) {
+    throw new Error(`Invalid category action: ${category.action}`);
+  }
+  const encoding = category.encoding || null;
+  if (encoding !== null && !CATEGORY_ENCODINGS.includes(encoding)) {
+    throw new Error(`Invalid category encoding: ${category.encoding}`);
+  }
+
+  return {
+    id,
+    name: String(category.name || id).trim(),
+    action: category.action,
+    encoding,
+  };
+}
+
+
+// Whether a string can be a category ID
+export function isCategoryId(id) {
+  return ID_REGEX.test(String(id));
+}
+
+
+// Adds a category, or replaces the category with the same ID
+export async function saveCategory(category) {
+  const normalized = normalizeCategory(category);
+
+  await updateCategories((categories) => {
+    const index = categories.findIndex(old => old.id === normalized.id);
+    if (index === -1) {
+      categories.push(normalized);
+    }
+    else {
+      categories[index] = normalized;
+    }
+    return categories;
+  });
+
+  return normalized;
+}
+
+
+// Removes a category, its feeds have to be moved or removed first
+export async function removeCategory(id, feeds) {
+  const used_by = feeds.filter(feed => feed.category === id);
+  if (used_by.length > 0) {
+    throw new Error(`Category '${id}' is still used by ${used_by.length} feed(s)`);
+  }
+
+  await updateCategories(categories => categories.filter(category => category.id !== id));
+}
+
+
+// The category whose action is the most severe, null when there is none
+export function mostSevere(categories) {
+  let worst = null;
+  for (const category of categories) {
+    if (!worst || ACTION_SEVERITY.indexOf(category.action) < ACTION_SEVERITY.indexOf(worst.action)) {
+      worst = category;
+    }
+  }
+  return worst;
+}
+
+// End of Categories (categories.js)
@@ -0,0 +1,85 @@
+/**
+ *    Enforcement (enforcement.js)
+ *    Decides what happens to a tab when one of its requests hits a malicious server,
+ *    based on the resource type of the request (details.type) and the frame it came from.
+ *
+ *    Actions:
+ *      'warn_tab'      - the whole tab is replaced by the blocked page
+ *      'replace_frame' - only the frame that made the request is replaced by the blocked page
+ *      'block'         - the request is blocked (the server is blacklisted), the page keeps running
+ *      'warn'          - where 'block' would apply to a server of a 'warn' category: nothing is blocked, the hit is only reported
+*/
+
+import { warningPageUrl } from "./warningPage.js";
+
+
+export const ENFORCEMENT_ACTIONS = ['warn_tab', 'replace_frame', 'block', 'warn'];
+
+// default action per resource type, anything not listed is blocked
+export const RESOURCE_POLICY = {
+  main_frame: 'warn_tab',
+  sub_frame: 'replace_frame',
+  script: 'warn_tab',
+  object: 'replace_frame',
+};
+
+const DEFAULT_ACTION = 'block';
+
+// resource types that load a document, they can be redirected to the blocked page
+export const FRAME_TYPES = ['main_frame', 'sub_frame'];
+
+
+// The action for a resource type
+export function enforcementAction(type, policy = RESOURCE_POLICY) {
+  return policy[type] || DEFAULT_ACTION;
+}
+
+
+/**
+ * Enforces the policy on a tab for a malicious request
+ * details: { domain, port, ip, jarm, pattern, url, type, frameId }, tab: the tab of the request
+ * hit_action: action of the matched category, 'block' or 'warn' (a warned server is not blacklisted, so not blocked)
+ * Returns the action that was taken.
+ */
+export async function enforce(details, tab, { hit_action = 'block', policy = RESOURCE_POLICY } = {}) {
+  let action = enforcementAction(details.type, policy);
+  if (action === 'block' && hit_action === 'warn') {
+    return 'warn';
+  }
+
+  // the top frame cannot be replaced on its own
+  if (action === 'replace_frame' && !details.frameId) {
+    action = 'warn_tab';
+  }
+
+  if (action === 'warn_tab') {
+    // the main frame only if the tab is still on it (or navigating to it),
+    // for the rest the blocked page returns to the tab URL
+    // "Go back" skips the blocked URL when it made it into the history (see warningPageQuery)
+    if (details.type === 'main_frame') {
+      if (tab.url === details.url || tab.pendingUrl === details.url) {
+        await chrome.tabs.update(tab.id, { url: warningPageUrl({ ...details, back: tab.url === details.url ? 2 : 1 }) });
+      }
+    }
+    else {
+      await chrome.tabs.update(tab.id, { url: warningPageUrl({ ...details, url: tab.url, back: 2 }) });
+    }
+  }
+  else if (action === 'replace_frame') {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [details.frameId] },
+        func: (warning_url) => location.replace(warning_url),
+        args: [warningPageUrl({ ...details, url: details.type === 'sub_frame' ? details.url : '' })],
+      });
+    }
+    catch (error) {
+      // the frame is gone (or cannot be scripted), the server stays blocked anyway
+      console.warn(`[!] Could not replace frame ${details.frameId} of tab ${tab.id}:`, error.message);
+    }
+  }
+
+  return action;
+}
+
+// End of Enforcement (enforcement.js)
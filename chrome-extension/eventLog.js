@@ -0,0 +1,255 @@
+/**
+ *    Event Log (eventLog.js)
+ *    IndexedDB log of the detections, kept for investigating incidents after the fact.
+ *    Written by the service worker, read by the log viewer (events/events.html).
+ *    The limits are applied every PRUNE_INTERVAL events, the log may exceed max_events by that many meanwhile.
+ *
+ *    Event: { id, time, tab_id, tab_url, url, type, host, port, ip, jarm, category, pattern, action, enforcement, source }
+ *      category:    { id, name } of the matched category (see categories.js)
+ *      pattern:     { id, feed, label } of the matched pattern, null for blacklist hits of old entries
+ *      action:      action of the category: 'block', 'warn', 'count' or 'log'
+ *      enforcement: what happened to the tab (see enforcement.js), null when it was left alone
+ *      source:      'scan' (a JARM matched) or 'blacklist' (the server was already blacklisted)
+*/
+
+
+// Constants
+const DB_NAME = "jarmguard-events";
+const DB_VERSION = 1;
+const EVENT_STORE = "events";
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CSV_COLUMNS = ['time', 'action', 'enforcement', 'category', 'host', 'port', 'ip', 'jarm',
+  'pattern_id', 'pattern_feed', 'pattern_label', 'tab_url', 'url', 'type', 'source'];
+
+// events stored between two prunes, the first one after a start prunes too
+const PRUNE_INTERVAL = 100;
+
+// defaults, see configureEventLog()
+const config = {
+  max_age_days: 90,     // older events are dropped
+  max_events: 20000,    // oldest events are dropped above this
+};
+
+let db_promise = null;
+let inserts = 0;
+
+
+// Overrides the retention limits
+export function configureEventLog({ max_age_days, max_events } = {}) {
+  if (Number.isFinite(max_age_days) && max_age_days > 0) config.max_age_days = max_age_days;
+  if (Number.isFinite(max_events) && max_events > 0) config.max_events = max_events;
+}
+
+
+// Wraps an IDBRequest into a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+
+function openDatabase() {
+  if (db_promise) {
+    return db_promise;
+  }
+
+  db_promise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.createObjectStore(EVENT_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("time", "time");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      db_promise = null;
+      reject(request.error);
+    };
+  });
+
+  return db_promise;
+}
+
+
+async function transaction(mode, callback) {
+  const db = await openDatabase();
+  const tx = db.transaction(EVENT_STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  try {
+    const result = await callback(tx.objectStore(EVENT_STORE));
+    await done;
+    return result;
+  }
+  catch (error) {
+    done.catch(() => {});
+    if (!tx.error) {
+      tx.abort();
+    }
+    throw error;
+  }
+}
+
+
+// Walks a cursor, callback returns false to stop
+function iterate(request, callback) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || callback(cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+
+// Drops the events past the retention limits
+async function prune(store) {
+  const cutoff = Date.now() - config.max_age_days * 24 * 60 * 60 * 1000;
+  await iterate(store.index("time").openCursor(IDBKeyRange.upperBound(cutoff)), (cursor) => {
+    cursor.delete();
+  });
+
+  let excess = await promisify(store.count()) - config.max_events;
+  if (excess <= 0) {
+    return;
+  }
+  await iterate(store.index("time").openCursor(), (cursor) => {
+    cursor.delete();
+    return --excess > 0;
+  });
+}
+
+
+/**
+ * Stores a detection
+ * event: the fields of an Event (see above) without id and time
+ */
+export async function logEvent(event) {
+  const record = {
+    time: Date.now(),
+    tab_id: event.tab_id ?? null,
+    tab_url: event.tab_url || '',
+    url: event.url || '',
+    type: event.type || '',
+    host: event.host,
+    port: event.port || 443,
+    ip: event.ip || '',
+    jarm: event.jarm || '',
+    category: event.category || null,
+    pattern: event.pattern ? { id: event.pattern.id, feed: event.pattern.feed || '', label: event.pattern.label || '' } : null,
+    action: event.action,
+    enforcement: event.enforcement || null,
+    source: event.source || 'scan',
+  };
+
+  try {
+    const pruning = inserts++ % PRUNE_INTERVAL === 0;
+    await transaction("readwrite", async (store) => {
+      store.add(record);
+      if (pruning) {
+        await prune(store);
+      }
+    });
+  }
+  catch (error) {
+    console.error("[-] logEvent failed:", error);
+  }
+}
+
+
+// Whether an event passes the filters of queryEvents()
+function matchesFilter(event, { category, action, search }) {
+  if (category && event.category?.id !== category) {
+    return false;
+  }
+  if (action && event.action !== action) {
+    return false;
+  }
+  if (!search) {
+    return true;
+  }
+
+  const needle = search.toLowerCase();
+  return [event.host, event.ip, event.jarm, event.tab_url, event.url, event.pattern?.label, event.pattern?.feed]
+    .some(value => String(value || '').toLowerCase().includes(needle));
+}
+
+
+/**
+ * Returns the events matching the filters, newest first
+ * filters: { category, action, search, since, until, limit }
+ *   search matches host, IP, JARM, URLs and the pattern label and feed (case insensitive)
+ *   since / until are timestamps in ms, limit 0 returns every match
+ */
+export async function queryEvents({ category = '', action = '', search = '', since = 0, until = Infinity, limit = 0 } = {}) {
+  const range = until === Infinity ? IDBKeyRange.lowerBound(since) : IDBKeyRange.bound(since, until);
+  const events = [];
+
+  await transaction("readonly", async (store) => {
+    await iterate(store.index("time").openCursor(range, "prev"), (cursor) => {
+      if (matchesFilter(cursor.value, { category, action, search })) {
+        events.push(cursor.value);
+      }
+      return limit === 0 || events.length < limit;
+    });
+  });
+
+  return events;
+}
+
+
+// Removes every event
+export async function clearEvents() {
+  await transaction("readwrite", async (store) => {
+    store.clear();
+  });
+  console.log("[+] Event log cleared.");
+}
+
+
+// Quotes a CSV field when needed
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+
+// Serializes events as 'csv' (one row per event, header first) or 'ndjson' (one JSON object per line)
+export function exportEvents(events, format) {
+  if (format === 'ndjson') {
+    return events.map(event => JSON.stringify(event)).join('\n') + (events.length > 0 ? '\n' : '');
+  }
+  if (format !== 'csv') {
+    throw new Error(`Invalid export format: ${format}`);
+  }
+
+  const rows = events.map((event) => {
+    const row = {
+      ...event,
+      time: new Date(event.time).toISOString(),
+      category: event.category?.id || '',
+      pattern_id: event.pattern?.id ?? '',
+      pattern_feed: event.pattern?.feed || '',
+      pattern_label: event.pattern?.label || '',
+    };
+    return CSV_COLUMNS.map(column => csvField(row[column])).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// End of Event Log (eventLog.js)
@@ -0,0 +1,100 @@
+import { clearEvents, exportEvents, queryEvents } from '../eventLog.js';
+import { getCategories } from '../categories.js';
+
+// rows shown in the table, exports include every matching event
+const MAX_ROWS = 500;
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson',
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const categorySelect = document.getElementById('filter-category');
+    for (const category of await getCategories()) {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = category.name;
+        categorySelect.appendChild(option);
+    }
+
+    const form = document.getElementById('filter-form');
+    form.addEventListener('input', () => renderEvents());
+    form.addEventListener('submit', (event) => event.preventDefault());
+
+    document.getElementById('export-csv').addEventListener('click', () => download('csv'));
+    document.getElementById('export-ndjson').addEventListener('click', () => download('ndjson'));
+
+    document.getElementById('clear-events').addEventListener('click', async () => {
+        if (confirm('Remove every logged detection?')) {
+            await clearEvents();
+            renderEvents();
+        }
+    });
+
+    renderEvents();
+});
+
+
+function readFilters() {
+    const period = Number(document.getElementById('filter-period').value);
+    return {
+        search: document.getElementById('filter-search').value.trim(),
+        category: document.getElementById('filter-category').value,
+        action: document.getElementById('filter-action').value,
+        since: period ? Date.now() - period : 0,
+    };
+}
+
+
+async function renderEvents() {
+    const events = await queryEvents({ ...readFilters(), limit: MAX_ROWS + 1 });
+    const body = document.getElementById('event-entries');
+    body.replaceChildren();
+
+    for (const event of events.slice(0, MAX_ROWS)) {
+        const row = document.createElement('tr');
+        const action = event.enforcement ? `${event.action} (${event.enforcement})` : event.action;
+        const pattern = event.pattern
+            ? `#${event.pattern.id} ${event.pattern.label || ''} (${event.pattern.feed || 'unknown feed'})`
+            : '-';
+        const cells = [
+            new Date(event.time).toLocaleString(),
+            action,
+            event.category?.name || '-',
+            `${event.host}:${event.port}${event.ip ? ` (${event.ip})` : ''}`,
+            event.jarm || '-',
+            pattern,
+            event.tab_url || '-',
+        ];
+
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        row.children[4].className = 'jarm';
+        row.children[6].title = event.url;
+
+        body.appendChild(row);
+    }
+
+    document.getElementById('events-empty').hidden = events.length > 0;
+    document.getElementById('event-count').textContent = events.length > MAX_ROWS
+        ? `Showing the newest ${MAX_ROWS} detections, export to get all of them.`
+        : `${events.length} detection(s).`;
+}
+
+
+// Exports the events matching the current filters
+async function download(format) {
+    const events = await queryEvents(readFilters());
+    const blob = new Blob([exportEvents(events, format)], { type: MIME_TYPES[format] });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `jarmguard-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,210 @@
+/**
+ *    Feeds (feeds.js)
+ *    User-configurable threat feeds, stored under 'feeds' in chrome.storage.local.
+ *
+ *    Feed: {
+ *      id, name, url, enabled,
+ *      category:      ID of the category the JARMs go to (see categories.js)
+ *      format:        'plain' (one JARM per line), 'csv', 'json' or 'delta'
+ *      csv:           { jarm_column, label_columns, header, delimiter }
+ *                     columns are indexes, or header names when header is true
+ *      json:          { jarm_field, label_fields }
+ *                     an array of JARMs, an array of objects, or an object keyed by JARM
+ *                     (also used for the added entries of 'delta' feeds)
+ *      refresh_hours: how often the feed is downloaded again, null for the 'feed_refresh_hours' setting
+ *      integrity:     pinned { sha256, public_key, signature_url }, optional (see integrity.js)
+ *      status:        { last_attempt, last_success, failures, ok, count, rejected, rejected_sample, stale, version, error }
+ *                     of the last download, failures counts the failed downloads since the last success
+ *    }
+ *
+ *    A 'delta' feed is requested as <url>?since=<version we have> and answers with JSON:
+ *      { version, base, full, added: [entries], removed: [JARMs] }
+ *    base is the version the delta applies to, full means the added entries are the whole set.
+*/
+
+import { clearFeedBody } from "./cache.js";
+import { isCategoryId } from "./categories.js";
+import { normalizeIntegrity } from "./integrity.js";
+
+
+export const FEED_FORMATS = ['plain', 'csv', 'json', 'delta'];
+
+export const DEFAULT_FEEDS = [
+  {
+    id: "jarmguard-malicious",
+    name: "JARMGuard malicious servers",
+    url: "https://raw.githubusercontent.com/npapoutsakis/JARMGuard/refs/heads/main/pattern-sets/malicious.csv",
+    category: "blocklist",
+    format: "plain",
+    refresh_hours: null,
+    enabled: true,
+  },
+  {
+    id: "jarmguard-ad-trackers",
+    name: "JARMGuard ad trackers",
+    url: "https://raw.githubusercontent.com/npapoutsakis/JARMGuard/refs/heads/main/pattern-sets/ad_trackers.csv",
+    category: "trackers",
+    format: "plain",
+    refresh_hours: null,
+    enabled: true,
+  },
+];
+
+// a failed download is retried after this, doubling with every failure up to the refresh interval
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+// writes to 'feeds' run one after the other, feeds are fetched in parallel
+let update_chain = Promise.resolve();
+
+
+function updateFeeds(callback) {
+  const result = update_chain.then(async () => {
+    const feeds = await getFeeds();
+    const updated = await callback(feeds);
+    await chrome.storage.local.set({ 'feeds': updated });
+    return updated;
+  });
+
+  update_chain = result.catch(() => {});
+  return result;
+}
+
+
+// Returns the feed definitions (the defaults until the user changes anything)
+export async function getFeeds() {
+  const data = await chrome.storage.local.get('feeds');
+  return data['feeds'] || structuredClone(DEFAULT_FEEDS);
+}
+
+
+// Validates and normalizes a feed definition, throws on invalid input
+export function normalizeFeed(feed) {
+  let url;
+  try {
+    url = new URL(feed.url);
+  }
+  catch (error) {
+    throw new Error(`Invalid feed URL: ${feed.url}`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error("Feeds must be served over https://");
+  }
+  if (!isCategoryId(feed.category)) {
+    throw new Error(`Invalid feed category: ${feed.category}`);
+  }
+  if (!FEED_FORMATS.includes(feed.format)) {
+    throw new Error(`Invalid feed format: ${feed.format}`);
+  }
+
+  const refresh_hours = feed.refresh_hours === null || feed.refresh_hours === undefined || feed.refresh_hours === ''
+    ? null
+    : Number(feed.refresh_hours);
+  if (refresh_hours !== null && !(refresh_hours > 0)) {
+    throw new Error("The refresh interval must be positive");
+  }
+
+  const normalized = {
+    id: feed.id || crypto.randomUUID(),
+    name: String(feed.name || url.hostname).trim(),
+    url: url.toString(),
+    category: feed.category,
+    format: feed.format,
+    refresh_hours,
+    enabled: feed.enabled !== false,
+    integrity: normalizeIntegrity(feed.integrity),
+    status: feed.status || null,
+  };
+
+  if (feed.format === 'csv') {
+    normalized.csv = {
+      jarm_column: feed.csv?.jarm_column ?? 0,
+      label_columns: feed.csv?.label_columns || [],
+      header: Boolean(feed.csv?.header),
+      delimiter: feed.csv?.delimiter || ',',
+    };
+  }
+  if (feed.format === 'json' || feed.format === 'delta') {
+    normalized.json = {
+      jarm_field: feed.json?.jarm_field || 'jarm',
+      label_fields: feed.json?.label_fields || [],
+    };
+  }
+
+  return normalized;
+}
+
+
+// Adds a feed, or replaces the feed with the same ID
+export async function saveFeed(feed) {
+  const normalized = normalizeFeed(feed);
+
+  await updateFeeds((feeds) => {
+    const index = feeds.findIndex(old => old.id === normalized.id);
+    if (index === -1) {
+      feeds.push(normalized);
+    }
+    else {
+      feeds[index] = { ...normalized, status: feeds[index].status };
+    }
+    return feeds;
+  });
+
+  return normalized;
+}
+
+
+export async function removeFeed(id) {
+  await updateFeeds(feeds => feeds.filter(feed => feed.id !== id));
+  await clearFeedBody(id);
+}
+
+
+export async function setFeedEnabled(id, enabled) {
+  await updateFeeds((feeds) => {
+    const feed = feeds.find(feed => feed.id === id);
+    if (feed) {
+      feed.enabled = enabled;
+    }
+    return feeds;
+  });
+}
+
+
+// Records the outcome of a download: { ok, count, rejected, rejected_sample, stale, version, error }
+export async function setFeedStatus(id, status) {
+  await updateFeeds((feeds) => {
+    const feed = feeds.find(feed => feed.id === id);
+    if (feed) {
+      const now = Date.now();
+      feed.status = {
+        ...status,
+        last_attempt: now,
+        last_success: status.ok ? now : feed.status?.last_success ?? null,
+        failures: status.ok ? 0 : (feed.status?.failures || 0) + 1,
+      };
+    }
+    return feeds;
+  });
+}
+
+
+/**
+ * Enabled feeds whose refresh interval has passed since their last good download,
+ * and failed feeds whose retry delay has passed since the last attempt
+ * default_hours: the interval of the feeds without their own (see settings.js)
+ */
+export function dueFeeds(feeds, default_hours, now = Date.now()) {
+  return feeds.filter((feed) => {
+    const interval = (feed.refresh_hours ?? default_hours) * 3600000;
+    const status = feed.status;
+    if (!feed.enabled) {
+      return false;
+    }
+    if (status?.failures > 0) {
+      return now - status.last_attempt >= Math.min(RETRY_BASE_MS * 2 ** (status.failures - 1), interval);
+    }
+    return now - (status?.last_success || 0) >= interval;
+  });
+}
+
+// End of Feeds (feeds.js)
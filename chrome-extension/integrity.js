@@ -0,0 +1,104 @@
+/**
+ *    Integrity (integrity.js)
+ *    Verifies a downloaded feed against the integrity data pinned in its definition (feeds.js):
+ *
+ *    integrity: {
+ *      sha256:        hex SHA-256 digest of the feed body, for feeds that never change
+ *      public_key:    base64 SPKI of an ECDSA P-256 key, the feed body is signed with it
+ *      signature_url: where the base64 signature of the body is served (default: <feed url>.sig)
+ *    }
+*/
+
+
+const SHA256_REGEX = /^[0-9a-f]{64}$/;
+
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text.trim()), c => c.charCodeAt(0));
+}
+
+
+// Validates the integrity block of a feed definition, throws on invalid input
+export function normalizeIntegrity(integrity) {
+  if (!integrity) {
+    return null;
+  }
+
+  const sha256 = integrity.sha256 ? String(integrity.sha256).trim().toLowerCase() : null;
+  if (sha256 && !SHA256_REGEX.test(sha256)) {
+    throw new Error("The pinned SHA-256 must be 64 hex characters");
+  }
+
+  const public_key = integrity.public_key ? String(integrity.public_key).replace(/\s+/g, '') : null;
+  if (public_key) {
+    try {
+      fromBase64(public_key);
+    }
+    catch (error) {
+      throw new Error("The pinned public key must be base64 (SPKI)");
+    }
+  }
+
+  if (!sha256 && !public_key) {
+    return null;
+  }
+
+  return {
+    sha256,
+    public_key,
+    signature_url: integrity.signature_url || null,
+  };
+}
+
+
+export async function sha256Hex(bytes) {
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+
+/**
+ * Checks the body of a feed against its pinned digest and/or signature
+ * Throws when the body does not match, does nothing for feeds without integrity data.
+ */
+export async function verifyFeed(feed, bytes) {
+  const integrity = feed.integrity;
+  if (!integrity) {
+    return;
+  }
+
+  if (integrity.sha256) {
+    const digest = await sha256Hex(bytes);
+    if (digest !== integrity.sha256) {
+      throw new Error(`SHA-256 mismatch (got ${digest})`);
+    }
+  }
+
+  if (integrity.public_key) {
+    const signature_url = integrity.signature_url || `${feed.url}.sig`;
+    const response = await fetch(signature_url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch the feed signature (HTTP ${response.status})`);
+    }
+    const signature = fromBase64(await response.text());
+
+    const key = await crypto.subtle.importKey(
+      'spki',
+      fromBase64(integrity.public_key),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+
+    const valid = await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, signature, bytes);
+    if (!valid) {
+      throw new Error("Invalid feed signature");
+    }
+  }
+}
+
+// End of Integrity (integrity.js)
@@ -1,14 +1,22 @@
 /**
  *  JARM Fetcher (jarmFetcher.js)
- *  JARM Fetcher is responsible for fetching and updating the malicious jarms from git repository.
+ *  JARM Fetcher is responsible for fetching and updating the jarms of the configured feeds (see feeds.js).
  * 
  *  Author: Nikolaos Papoutsakis
  */
 
-// Public dataset default URL
-// The default URL for the public dataset is set to a specific path on github
-const blocklist = "https://raw.githubusercontent.com/npapoutsakis/JARMGuard/refs/heads/main/pattern-sets/malicious.csv";
-const trackers = "https://raw.githubusercontent.com/npapoutsakis/JARMGuard/refs/heads/main/pattern-sets/ad_trackers.csv";
+import { normalizeJarm, validateEntries } from "./patterns.js";
+import { getFeeds, setFeedStatus } from "./feeds.js";
+import { verifyFeed } from "./integrity.js";
+import { loadFeedBody, saveFeedBody } from "./cache.js";
+
+// a download with more invalid entries than this is rejected as a whole (wrong format, error page, ...)
+const MAX_REJECTED_RATIO = 0.5;
+
+// rejected entries kept in the feed status, for the options page
+const REJECTED_SAMPLE_SIZE = 20;
+
+// Testing datasets (the default feeds live in feeds.js)
 const testing = {
   1: "https://raw.githubusercontent.com/npapoutsakis/domain_dataset/refs/heads/main/tests/50.csv",
   2: "https://raw.githubusercontent.com/npapoutsakis/domain_dataset/refs/heads/main/tests/100.csv",
@@ -33,69 +41,369 @@ export class JARMFetcher {
     this.testing_dataset = {
       1: testing[13]
     }
+  }
+
+
+  /**
+   * Fetches all the given feeds
+   * Returns a list of pattern records { jarm, feed, label }, the feed being the feed ID.
+   * A feed whose download fails (network, integrity or validation) falls back to its
+   * last good body, and its status records the error.
+   * refresh: IDs of the feeds to download, the others reuse their last good body (null downloads them all)
+   * Throws when no feed could be used at all, an empty set is only returned when the feeds are empty.
+   */
+  async #fetch_raw_datasets(feeds, refresh = null) {
+
+    // jarm -> pattern record, also removes duplicates (first feed wins)
+    const patterns = new Map();
+    let missing = 0;
+
+    for (const feed of feeds) {
+      // not due, downloaded only if there is nothing to reuse
+      let result = refresh && !refresh.includes(feed.id) ? await this.#last_good(feed) : null;
+      if (result) {
+        this.#add_patterns(patterns, result);
+        continue;
+      }
 
-    this.blocklist_dataset = {
-      1: blocklist,
+      try {
+        result = await this.#download(feed);
+
+        await setFeedStatus(feed.id, {
+          ok: true,
+          count: result.patterns.length,
+          rejected: result.rejected.length,
+          rejected_sample: result.rejected.slice(0, REJECTED_SAMPLE_SIZE),
+          stale: false,
+          version: result.version ?? null,
+          error: null,
+        });
+        console.log(`[+] [${feed.id}] Fetched ${result.patterns.length} JARMs, rejected ${result.rejected.length} entries`);
+      } 
+      catch (error) {
+        console.error(`[ERROR] [${feed.id}] Fetch Error:`, error);
+        result = await this.#last_good(feed);
+
+        await setFeedStatus(feed.id, {
+          ok: false,
+          count: result ? result.patterns.length : 0,
+          rejected: 0,
+          rejected_sample: [],
+          stale: Boolean(result),
+          version: result?.version ?? null,
+          error: error.message,
+        });
+        if (!result) {
+          missing++;
+          continue;
+        }
+        console.log(`[!] [${feed.id}] Using the last good download (${result.patterns.length} JARMs)`);
+      }
+
+      this.#add_patterns(patterns, result);
     }
 
-    this.tracker_dataset = {
-      1: trackers,
+    // the failed feeds are retried soon (see dueFeeds in feeds.js), the set in use stays until then
+    if (feeds.length > 0 && missing === feeds.length) {
+      throw new Error(`None of the ${feeds.length} feed(s) could be downloaded`);
+    }
+    return Array.from(patterns.values());
+  }
+
+
+  #add_patterns(patterns, result) {
+    for (const record of result.patterns) {
+      if (!patterns.has(record.jarm)) {
+        patterns.set(record.jarm, record);
+      }
     }
   }
 
 
+  // Downloads, verifies and validates a feed, throws if the download cannot be used
+  async #download(feed) {
+    if (feed.format === 'delta') {
+      return await this.#download_delta(feed);
+    }
+
+    const response = await fetch(feed.url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JARM dataset (HTTP ${response.status})`);
+    }
+
+    const bytes = await response.arrayBuffer();
+    await verifyFeed(feed, bytes);
+
+    const data = new TextDecoder().decode(bytes);
+    const result = this.#validate(data, feed);
+
+    // the body is good, keep it for when a later download fails
+    await saveFeedBody(feed.id, data);
+    return result;
+  }
+
+
   /**
-   * Fetches all data from the datasets
+   * Downloads the changes of a delta feed since the version we have, and applies them.
+   * The resulting set is kept as the last good body: { version, entries: [{ jarm, label }] }
+   * full: ask for the whole set (since=0), e.g. when our version is unknown to the server
    */
-  async #fetch_raw_datasets(dataset) {
+  async #download_delta(feed, full = false) {
+    const stored = full ? null : await loadFeedBody(feed.id);
+    const current = stored ? JSON.parse(stored) : { version: 0, entries: [] };
+
+    const url = new URL(feed.url);
+    url.searchParams.set('since', current.version);
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JARM delta (HTTP ${response.status})`);
+    }
+
+    const bytes = await response.arrayBuffer();
+    await verifyFeed(feed, bytes);
+
+    const delta = JSON.parse(new TextDecoder().decode(bytes));
+    if (delta?.version === undefined || !Array.isArray(delta.added ?? []) || !Array.isArray(delta.removed ?? [])) {
+      throw new Error("Invalid delta: expected { version, added, removed }");
+    }
+    // the answer to since=0 is the whole set whatever its base
+    if (current.version !== 0 && !delta.full && delta.base !== undefined && delta.base !== current.version) {
+      console.warn(`[WARN] [${feed.id}] Delta applies to version ${delta.base}, we have ${current.version}, downloading the whole set`);
+      return await this.#download_delta(feed, true);
+    }
+
+    // jarm -> entry, starting from the current set unless the server sent the whole set
+    const entries = new Map();
+    if (!delta.full) {
+      for (const entry of current.entries) {
+        entries.set(entry.jarm, entry);
+      }
+    }
+    for (const value of delta.removed ?? []) {
+      const { jarm } = normalizeJarm(value);
+      entries.delete(jarm);
+    }
 
-    // list of all jarm fingerprints
-    const jarm_list = [];
+    // the added entries are validated here, the stored set only holds valid JARMs
+    const added = this.#json_entries(delta.added ?? [], feed);
+    const { patterns, rejected } = validateEntries(added, feed.id);
+    if (rejected.length > added.length * MAX_REJECTED_RATIO) {
+      throw new Error(`Too many invalid entries in the delta (${rejected.length} of ${added.length})`);
+    }
+    for (const pattern of patterns) {
+      entries.set(pattern.jarm, { jarm: pattern.jarm, label: pattern.label });
+    }
+
+    const state = { version: delta.version, entries: Array.from(entries.values()) };
+    const result = this.#validate(JSON.stringify(state), feed);
+
+    await saveFeedBody(feed.id, JSON.stringify(state));
+    console.log(`[+] [${feed.id}] Delta ${current.version} -> ${delta.version}: ` +
+      `+${patterns.length} / -${(delta.removed ?? []).length} JARMs`);
+
+    return { ...result, rejected };
+  }
+
+
+  // The patterns of the last body that passed the checks, null if there is none
+  async #last_good(feed) {
+    const data = await loadFeedBody(feed.id);
+    if (data === null) {
+      return null;
+    }
 
     try {
-      // loop & fetch file in the public dataset      
-      for (let key in dataset) {
-        
-        const response = await fetch(dataset[key]);
+      return this.#validate(data, feed);
+    }
+    catch (error) {
+      // the feed format changed since then
+      console.error(`[ERROR] [${feed.id}] Last good download is no longer valid:`, error);
+      return null;
+    }
+  }
 
-        if (!response.ok) {
-          throw new Error("Failed to fetch JARM dataset");
-        }
-        
-        // read the response as text
-        const data = await response.text();
 
-        const lines = data.trim().split("\n");
-        for (let i = 0; i < lines.length; i++) {
-          jarm_list.push(lines[i]);
+  // Parses and validates a feed body, throws if it is mostly invalid
+  #validate(data, feed) {
+    const entries = this.#parse(data, feed);
+    const { patterns, rejected } = validateEntries(entries, feed.id);
+    const version = feed.format === 'delta' ? JSON.parse(data).version : null;
+
+    // a delta feed may remove every JARM, its empty set is valid and clears the automaton
+    if (patterns.length === 0 && !(feed.format === 'delta' && entries.length === 0)) {
+      throw new Error(`No valid JARM in the feed (${rejected.length} entries rejected)`);
+    }
+    if (rejected.length > entries.length * MAX_REJECTED_RATIO) {
+      throw new Error(`Too many invalid entries (${rejected.length} of ${entries.length})`);
+    }
+
+    for (const entry of rejected.slice(0, REJECTED_SAMPLE_SIZE)) {
+      console.warn(`[WARN] [${feed.id}] Rejected entry ${entry.line} '${entry.value}': ${entry.reason}`);
+    }
+    return { patterns, rejected, version };
+  }
+
+
+  // Parses a feed body according to its format
+  // Returns raw entries { jarm, label, line }, validated by validateEntries
+  #parse(data, feed) {
+    if (feed.format === 'csv') {
+      return this.#parse_csv(data, feed);
+    }
+    if (feed.format === 'json') {
+      return this.#parse_json(data, feed);
+    }
+    if (feed.format === 'delta') {
+      // the stored set of a delta feed
+      return JSON.parse(data).entries.map((entry, index) => ({ ...entry, line: index }));
+    }
+    return this.#parse_plain(data, feed);
+  }
+
+
+  // one JARM per line
+  #parse_plain(data, feed) {
+    return data.split("\n")
+      .map((line, index) => ({ jarm: line.trim(), label: null, line: index + 1 }))
+      .filter(entry => entry.jarm.length > 0);
+  }
+
+
+  // a JARM column, plus optional label columns (joined into the label)
+  #parse_csv(data, feed) {
+    const { jarm_column, label_columns, header, delimiter } = feed.csv;
+    const rows = data.split("\n")
+      .map((line, index) => ({ line: index + 1, text: line }))
+      .filter(row => row.text.trim().length > 0)
+      .map(row => ({ line: row.line, fields: this.#split_csv_line(row.text, delimiter) }));
+
+    // columns can be given by name when the feed has a header row
+    let columns = null;
+    if (header) {
+      columns = (rows.shift()?.fields || []).map(name => name.trim());
+    }
+    const column_index = (column) => {
+      if (typeof column === 'number') {
+        return column;
+      }
+      const index = columns ? columns.indexOf(column) : Number(column);
+      if (index === -1 || Number.isNaN(index)) {
+        throw new Error(`Unknown CSV column: ${column}`);
+      }
+      return index;
+    };
+
+    const jarm_index = column_index(jarm_column);
+    const label_indexes = label_columns.map(column_index);
+
+    return rows.map(({ line, fields }) => {
+      const labels = label_indexes.map(index => fields[index]).filter(Boolean);
+      return {
+        jarm: fields[jarm_index] || '',
+        label: labels.length > 0 ? labels.join(' / ') : null,
+        line,
+      };
+    });
+  }
+
+
+  // splits a CSV line, handles "quoted, fields" and "" escapes
+  #split_csv_line(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
         }
+        else if (c === '"') {
+          quoted = false;
+        }
+        else {
+          field += c;
+        }
+      }
+      else if (c === '"') {
+        quoted = true;
       }
-      // remove duplicates
-      const unique_ones = new Set(jarm_list);
+      else if (c === delimiter) {
+        fields.push(field.trim());
+        field = '';
+      }
+      else if (c !== '\r') {
+        field += c;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  }
 
-      return Array.from(unique_ones);
-    } 
-    catch (error) {
-      console.error("[ERROR] Fetch Error:", error);
+
+  // an array of JARMs, an array of objects, or an object keyed by JARM
+  #parse_json(data, feed) {
+    return this.#json_entries(JSON.parse(data), feed);
+  }
+
+
+  #json_entries(json, feed) {
+    const { jarm_field, label_fields } = feed.json;
+
+    const label_of = (object) => {
+      if (typeof object === 'string') {
+        return object;
+      }
+      const labels = label_fields.map(field => object?.[field]).filter(Boolean);
+      return labels.length > 0 ? labels.join(' / ') : null;
+    };
+
+    // for JSON feeds the "line" is the array index or the object key
+    if (Array.isArray(json)) {
+      return json.map((entry, index) => {
+        if (typeof entry === 'string') {
+          return { jarm: entry, label: null, line: index };
+        }
+        return { jarm: entry?.[jarm_field], label: label_of(entry), line: index };
+      });
     }
+
+    if (json && typeof json === 'object') {
+      return Object.entries(json).map(([jarm, value]) => {
+        return { jarm, label: label_of(value), line: jarm };
+      });
+    }
+
+    throw new Error("JSON feeds must be an array or an object");
+  }
+
+
+  // All the enabled feeds of a category, only the feeds in refresh_ids are downloaded again (all when null)
+  async fetch_category_jarms(category, refresh_ids = null) {
+    const feeds = (await getFeeds()).filter(feed => feed.enabled && feed.category === category);
+    return await this.#fetch_raw_datasets(feeds, refresh_ids);
   }
 
   // Blocklist
   async fetch_blocklist_jarms() {
-    const jarms = await this.#fetch_raw_datasets(this.blocklist_dataset);
-    return jarms;
+    return await this.fetch_category_jarms('blocklist');
   }
 
   // Ad/Trackers
   async fetch_tracker_jarms() {
-    const jarms = await this.#fetch_raw_datasets(this.tracker_dataset);
-    return jarms;
+    return await this.fetch_category_jarms('trackers');
   }
 
   // Testing
   async fetch_testing_jarms() {
-    const jarms = await this.#fetch_raw_datasets(this.testing_dataset);
-    return jarms;
+    const feeds = Object.entries(this.testing_dataset).map(([key, url]) => {
+      return { id: `testing-${key}`, url, format: 'plain' };
+    });
+    return await this.#fetch_raw_datasets(feeds);
   }
 
 }
@@ -0,0 +1,301 @@
+/**
+ *    Matchers (matchers.js)
+ *    Interchangeable backends that match scanned JARMs against the pattern sets of an AhoCorasick instance.
+ *
+ *    Every matcher has:
+ *      name                  - 'webgpu', 'cpu', 'workers' or 'hash'
+ *      available(type)       - whether it can run for the type right now
+ *      match(jarms, type)    - resolves with the pattern ID of each JARM (0 when nothing matched)
+ *
+ *    A short calibration at startup times every available matcher on the real automaton,
+ *    and the fastest one is used for the type unless the user picked one (stored under 'matcher_backend').
+*/
+
+
+// Constants
+export const MATCHER_BACKENDS = ['webgpu', 'cpu', 'workers', 'hash'];
+
+const OFFSCREEN_URL = 'tester.html';
+const CALIBRATION_ROUNDS = 3;     // timed rounds per batch size, the median is kept
+const HIT_RATIO = 0.1;            // share of the calibration JARMs taken from the patterns
+
+
+// The offscreen document hosting the worker pool (workerManager.js), created once
+let offscreen_creating = null;
+
+export async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument?.()) {
+    return;
+  }
+  if (!offscreen_creating) {
+    offscreen_creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Matching JARMs on a pool of web workers',
+    })
+    .catch((error) => {
+      // created meanwhile by someone else
+      if (!String(error.message).includes('single offscreen')) {
+        throw error;
+      }
+    })
+    .finally(() => {
+      offscreen_creating = null;
+    });
+  }
+  await offscreen_creating;
+}
+
+
+// Aho-Corasick on WebGPU (the automaton falls back to the CPU when the GPU goes away)
+class WebGPUMatcher {
+  constructor(aho) {
+    this.name = 'webgpu';
+    this.aho = aho;
+  }
+
+  available(type) {
+    return this.aho.ready[type] && this.aho.backend[type] === 'webgpu';
+  }
+
+  async match(jarms, type) {
+    return await this.aho.match(jarms, type);
+  }
+}
+
+
+// Aho-Corasick walked on the CPU, in the service worker
+class CPUMatcher {
+  constructor(aho) {
+    this.name = 'cpu';
+    this.aho = aho;
+  }
+
+  available(type) {
+    return this.aho.ready[type];
+  }
+
+  async match(jarms, type) {
+    return this.aho.matchCPU(jarms, type);
+  }
+}
+
+
+// Aho-Corasick on a pool of web workers, in the offscreen document (workerManager.js)
+class WorkerPoolMatcher {
+  constructor(aho) {
+    this.name = 'workers';
+    this.aho = aho;
+  }
+
+  available(type) {
+    return Boolean(chrome.offscreen) && this.aho.ready[type] && Boolean(this.aho.digest[type]);
+  }
+
+  async match(jarms, type) {
+    await ensureOffscreenDocument();
+
+    // the pool loads the cached automaton built from the same patterns
+    const response = await chrome.runtime.sendMessage({
+      type: 'workerPoolMatch',
+      data: {
+        type,
+        jarms,
+        digest: this.aho.digest[type],
+        encoding: this.aho.active_encoding[type],
+      },
+    });
+    if (response?.status !== 'success') {
+      throw new Error(`Worker pool: ${response?.message || 'no response'}`);
+    }
+    return response.results;
+  }
+}
+
+
+// Plain hash lookup: every JARM has the same length, so a match is an exact match
+class HashMatcher {
+  constructor(aho) {
+    this.name = 'hash';
+    this.aho = aho;
+    this.source = {};   // pattern list the map of each type was built from
+    this.maps = {};     // jarm -> pattern ID, per type
+  }
+
+  available(type) {
+    return this.aho.ready[type];
+  }
+
+  async match(jarms, type) {
+    const patterns = this.aho.patterns[type];
+    if (this.source[type] !== patterns) {
+      this.maps[type] = new Map(patterns.map(pattern => [pattern.jarm, pattern.id]));
+      this.source[type] = patterns;
+    }
+
+    const map = this.maps[type];
+    return jarms.map(jarm => map.get(String(jarm).toLowerCase()) || 0);
+  }
+}
+
+
+export class MatcherSet {
+
+  constructor(aho) {
+    this.aho = aho;
+    this.matchers = new Map([
+      new WebGPUMatcher(aho),
+      new CPUMatcher(aho),
+      new WorkerPoolMatcher(aho),
+      new HashMatcher(aho),
+    ].map(matcher => [matcher.name, matcher]));
+
+    this.override = 'auto';
+    this.selected = {};   // type -> backend
+    this.timings = {};    // type -> { backend -> ms per batch, null when it failed }
+    this.calibrated_at = null;
+  }
+
+
+  /**
+   * Times every available matcher on the real automaton of each type
+   * batch_sizes: the batch sizes the scans are matched in
+   * types: the types to time, all the loaded ones by default
+   */
+  async calibrate(batch_sizes, types = this.aho.types()) {
+    // types removed since the last calibration
+    for (const type of Object.keys(this.timings)) {
+      if (!this.aho.types().includes(type)) {
+        delete this.timings[type];
+      }
+    }
+
+    for (const type of types) {
+      const jarms = this.#calibrationJarms(type, Math.max(...batch_sizes));
+      this.timings[type] = {};
+
+      for (const matcher of this.matchers.values()) {
+        if (!matcher.available(type)) {
+          continue;
+        }
+
+        try {
+          // warm-up, also checks the results against the in-thread walk
+          const expected = this.aho.matchCPU(jarms, type);
+          const results = await matcher.match(jarms, type);
+          if (results.some((id, i) => id !== expected[i])) {
+            throw new Error("results differ from the reference walk");
+          }
+
+          let total = 0;
+          for (const size of batch_sizes) {
+            total += await this.#time(matcher, jarms.slice(0, size), type);
+          }
+          this.timings[type][matcher.name] = total / batch_sizes.length;
+        }
+        catch (error) {
+          console.warn(`[WARN] [${type}] Matcher '${matcher.name}' failed calibration:`, error.message);
+          this.timings[type][matcher.name] = null;
+        }
+      }
+    }
+
+    this.calibrated_at = Date.now();
+    this.#select();
+    return this.status();
+  }
+
+
+  // Median time of a few rounds of one batch
+  async #time(matcher, jarms, type) {
+    const durations = [];
+    for (let round = 0; round < CALIBRATION_ROUNDS; round++) {
+      const start = performance.now();
+      await matcher.match(jarms, type);
+      durations.push(performance.now() - start);
+    }
+    durations.sort((a, b) => a - b);
+    return durations[Math.floor(durations.length / 2)];
+  }
+
+
+  // Random JARMs, with a share of real patterns so both hits and misses are timed
+  #calibrationJarms(type, count) {
+    const patterns = this.aho.patterns[type];
+    const jarms = [];
+    for (let i = 0; i < count; i++) {
+      if (patterns.length > 0 && i % Math.round(1 / HIT_RATIO) === 0) {
+        jarms.push(patterns[Math.floor(Math.random() * patterns.length)].jarm);
+        continue;
+      }
+      const bytes = crypto.getRandomValues(new Uint8Array(31));
+      jarms.push(Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(''));
+    }
+    return jarms;
+  }
+
+
+  // Sets the backend chosen by the user, 'auto' picks the fastest calibrated one
+  setOverride(backend) {
+    if (backend !== 'auto' && !this.matchers.has(backend)) {
+      throw new Error(`Unknown matcher backend: ${backend}`);
+    }
+    this.override = backend;
+    this.#select();
+  }
+
+
+  #select() {
+    this.selected = {};
+    for (const type of this.aho.types()) {
+      if (this.override !== 'auto') {
+        this.selected[type] = this.override;
+        continue;
+      }
+
+      let best = null;
+      const timings = this.timings[type] || {};
+      for (const [name, ms] of Object.entries(timings)) {
+        if (ms !== null && (best === null || ms < timings[best])) {
+          best = name;
+        }
+      }
+      this.selected[type] = best;
+    }
+    const selected = Object.entries(this.selected).map(([type, name]) => `${type} '${name}'`);
+    console.log(`[+] Matchers: ${selected.join(', ')} (${this.override})`);
+  }
+
+
+  /**
+   * Matches with the selected backend of the type.
+   * Falls back to the automaton itself when the backend is unavailable or fails.
+   */
+  async match(jarms, type) {
+    const matcher = this.matchers.get(this.selected[type]);
+    if (matcher && matcher.available(type)) {
+      try {
+        return await matcher.match(jarms, type);
+      }
+      catch (error) {
+        console.warn(`[WARN] [${type}] Matcher '${matcher.name}' failed, using the automaton:`, error.message);
+      }
+    }
+    return await this.aho.match(jarms, type);
+  }
+
+
+  // For diagnostics: { override, selected, timings, calibrated_at, backend, encoding }
+  status() {
+    return {
+      override: this.override,
+      selected: { ...this.selected },
+      timings: structuredClone(this.timings),
+      calibrated_at: this.calibrated_at,
+      backend: { ...this.aho.backend },
+      encoding: { ...this.aho.active_encoding },
+    };
+  }
+}
+
+// End of Matchers (matchers.js)
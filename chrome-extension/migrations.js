@@ -0,0 +1,33 @@
+/**
+ *    Storage Migrations (migrations.js)
+ *    Brings chrome.storage up to the current layout after an extension update.
+ *
+ *    The version of the stored layout is kept under 'storage_version' in chrome.storage.local.
+ *    Each migration runs once, in order, and must be safe to run on an empty storage.
+*/
+
+
+const MIGRATIONS = [
+
+  // 1: the per-tab 'trackers' object moved to chrome.storage.session (see tabState.js)
+  async function tabStateToSession() {
+    await chrome.storage.local.remove('trackers');
+  },
+];
+
+export const STORAGE_VERSION = MIGRATIONS.length;
+
+
+// Runs the pending migrations
+export async function migrateStorage() {
+  const data = await chrome.storage.local.get('storage_version');
+  const version = data['storage_version'] || 0;
+
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    console.log(`[+] Running storage migration ${i + 1}: ${MIGRATIONS[i].name}`);
+    await MIGRATIONS[i]();
+    await chrome.storage.local.set({ 'storage_version': i + 1 });
+  }
+}
+
+// End of Storage Migrations (migrations.js)
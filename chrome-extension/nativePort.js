@@ -0,0 +1,128 @@
+/**
+ *    Native Port (nativePort.js)
+ *    One long-lived chrome.runtime.connectNative port to the JARM native host,
+ *    shared by all the scans instead of spawning a host process per request.
+ *
+ *    Every message is tagged with a request ID, the native host echoes it back
+ *    so responses are matched to their request even when they arrive out of order.
+*/
+
+
+// Constants
+const DEFAULT_MAX_CONCURRENT = 4;      // scans in flight on the port
+const DEFAULT_TIMEOUT_MS = 60000;      // a JARM scan is 10 probes with a 20s socket timeout each
+const RECONNECT_DELAY_MS = 1000;       // wait before reconnecting when work is still queued
+
+
+export class NativeScanner {
+
+  constructor(host_name, { max_concurrent = DEFAULT_MAX_CONCURRENT, timeout_ms = DEFAULT_TIMEOUT_MS } = {}) {
+    this.host_name = host_name;
+    this.max_concurrent = max_concurrent;
+    this.timeout_ms = timeout_ms;
+
+    this.port = null;
+    this.next_id = 1;
+    this.queue = [];              // requests waiting for a free slot
+    this.in_flight = new Map();   // request ID -> request
+    this.reconnect_timer = null;
+  }
+
+
+  /**
+   * Scans target:port through the native host
+   * Resolves with the host response, rejects on timeout or when the port disconnects.
+   */
+  scan(target, port = 443) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message: { target, port }, resolve, reject });
+      this.#pump();
+    });
+  }
+
+
+  // Sends queued requests while there are free slots
+  #pump() {
+    while (this.queue.length > 0 && this.in_flight.size < this.max_concurrent) {
+      if (!this.#connect()) {
+        return;
+      }
+
+      const request = this.queue.shift();
+      const id = this.next_id++;
+
+      request.timer = setTimeout(() => {
+        this.in_flight.delete(id);
+        request.reject(new Error(`Native scan timed out after ${this.timeout_ms} ms`));
+        this.#pump();
+      }, this.timeout_ms);
+
+      this.in_flight.set(id, request);
+      this.port.postMessage({ ...request.message, id });
+    }
+  }
+
+
+  #connect() {
+    if (this.port) {
+      return true;
+    }
+
+    try {
+      this.port = chrome.runtime.connectNative(this.host_name);
+    }
+    catch (error) {
+      console.error("[-] Failed to connect to native host:", error);
+      this.#failAll(this.queue.splice(0), error);
+      return false;
+    }
+
+    this.port.onMessage.addListener((message) => this.#onMessage(message));
+    this.port.onDisconnect.addListener(() => this.#onDisconnect());
+    console.log(`[+] Connected to native host ${this.host_name}`);
+    return true;
+  }
+
+
+  #onMessage(message) {
+    const request = this.in_flight.get(message?.id);
+    if (!request) {
+      // late response of a request that already timed out
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.in_flight.delete(message.id);
+    request.resolve(message);
+    this.#pump();
+  }
+
+
+  #onDisconnect() {
+    const reason = chrome.runtime.lastError?.message || "Native host disconnected";
+    console.warn(`[!] Native port disconnected: ${reason}`);
+    this.port = null;
+
+    // the requests on the old port will never be answered
+    const pending = Array.from(this.in_flight.values());
+    this.in_flight.clear();
+    this.#failAll(pending, new Error(reason));
+
+    if (this.queue.length > 0 && !this.reconnect_timer) {
+      this.reconnect_timer = setTimeout(() => {
+        this.reconnect_timer = null;
+        this.#pump();
+      }, RECONNECT_DELAY_MS);
+    }
+  }
+
+
+  #failAll(requests, error) {
+    for (const request of requests) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+}
+
+// End of Native Port (nativePort.js)
@@ -0,0 +1,541 @@
+import { addAllowlistEntry, getAllowlist, removeAllowlistEntry } from '../allowlist.js';
+import { getFeeds, removeFeed, saveFeed, setFeedEnabled } from '../feeds.js';
+import { getCategories, removeCategory, saveCategory } from '../categories.js';
+import { getSettings, onSettingsChanged, resetSettings, saveSettings, SETTINGS } from '../settings.js';
+import { getSiteModes, setSiteMode, SITE_MODES } from '../siteModes.js';
+
+const SITE_MODE_LABELS = {
+    block: 'Full protection',
+    warn: 'Warn only',
+    count: 'Count only',
+    off: 'Off',
+};
+
+const PLACEHOLDERS = {
+    host: 'example.com',
+    wildcard: '*.example.com',
+    jarm: '62 hex characters',
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+
+    // ------------------------------ Settings ------------------------------
+    document.getElementById('reset_settings').addEventListener('click', async () => {
+        if (confirm('Put every setting back to its default?')) {
+            await resetSettings();
+        }
+    });
+
+    getSettings().then(renderSettings);
+    onSettingsChanged((settings) => renderSettings(settings));
+
+    // ------------------------------ Allowlist ------------------------------
+    const allowlistForm = document.getElementById('allowlist-form');
+    const allowlistKind = document.getElementById('allowlist-kind');
+    const allowlistValue = document.getElementById('allowlist-value');
+    const allowlistError = document.getElementById('allowlist-error');
+
+    allowlistKind.addEventListener('change', () => {
+        allowlistValue.placeholder = PLACEHOLDERS[allowlistKind.value];
+    });
+
+    allowlistForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        allowlistError.textContent = '';
+
+        const expiry = Number(document.getElementById('allowlist-expiry').value);
+        try {
+            await addAllowlistEntry({
+                kind: allowlistKind.value,
+                value: allowlistValue.value,
+                scope: document.getElementById('allowlist-scope').value,
+                expires: expiry ? Date.now() + expiry : null,
+            });
+            allowlistValue.value = '';
+        }
+        catch (error) {
+            allowlistError.textContent = error.message;
+        }
+    });
+
+    renderAllowlist();
+
+    // ------------------------------ Per-site protection ------------------------------
+    const siteModeError = document.getElementById('site-mode-error');
+    document.getElementById('site-mode-mode').replaceChildren(...siteModeOptions());
+
+    document.getElementById('site-mode-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        siteModeError.textContent = '';
+
+        try {
+            const host = document.getElementById('site-mode-host').value.trim();
+            await setSiteMode(host, document.getElementById('site-mode-mode').value);
+            event.target.reset();
+        }
+        catch (error) {
+            siteModeError.textContent = error.message;
+        }
+    });
+
+    renderSiteModes();
+
+    // ------------------------------ Categories ------------------------------
+    const categoryError = document.getElementById('category-error');
+
+    document.getElementById('category-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        categoryError.textContent = '';
+
+        try {
+            await saveCategory({
+                id: document.getElementById('category-id').value,
+                name: document.getElementById('category-name').value,
+                action: document.getElementById('category-action').value,
+                encoding: document.getElementById('category-encoding').value || null,
+            });
+            event.target.reset();
+        }
+        catch (error) {
+            categoryError.textContent = error.message;
+        }
+    });
+
+    renderCategories();
+
+    // ------------------------------ Feeds ------------------------------
+    const feedFormat = document.getElementById('feed-format');
+    const feedError = document.getElementById('feed-error');
+
+    feedFormat.addEventListener('change', () => {
+        document.getElementById('feed-csv-options').hidden = feedFormat.value !== 'csv';
+        document.getElementById('feed-json-options').hidden = feedFormat.value !== 'json' && feedFormat.value !== 'delta';
+    });
+
+    document.getElementById('feed-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        feedError.textContent = '';
+
+        try {
+            await saveFeed(readFeedForm());
+            event.target.reset();
+            feedFormat.dispatchEvent(new Event('change'));
+        }
+        catch (error) {
+            feedError.textContent = error.message;
+        }
+    });
+
+    document.getElementById('update_feeds').addEventListener('click', async (event) => {
+        const button = event.target;
+        button.disabled = true;
+        feedError.textContent = '';
+
+        const response = await chrome.runtime.sendMessage({ action: 'updateJarmDataset' });
+        if (response?.status !== 'success') {
+            feedError.textContent = `Update failed: ${response?.message}`;
+        }
+        button.disabled = false;
+    });
+
+    renderFeeds();
+
+    // ------------------------------ Matching backend ------------------------------
+    const matcherBackend = document.getElementById('matcher-backend');
+    chrome.storage.local.get('matcher_backend').then((data) => {
+        matcherBackend.value = data['matcher_backend'] || 'auto';
+    });
+    matcherBackend.addEventListener('change', () => {
+        chrome.storage.local.set({ 'matcher_backend': matcherBackend.value });
+    });
+
+    document.getElementById('calibrate_matchers').addEventListener('click', async (event) => {
+        const button = event.target;
+        button.disabled = true;
+        const response = await chrome.runtime.sendMessage({ action: 'calibrateMatchers' });
+        if (response?.status !== 'success') {
+            document.getElementById('matcher-calibrated').textContent = `Calibration failed: ${response?.message}`;
+        }
+        button.disabled = false;
+    });
+
+    renderMatcherStatus();
+
+    // ------------------------------ Scan cache ------------------------------
+    document.getElementById('clear_scan_cache').addEventListener('click', async () => {
+        const status = document.getElementById('scan-cache-status');
+        const response = await chrome.runtime.sendMessage({ action: 'clearScanCache' });
+        status.textContent = response?.status === 'success'
+            ? 'Scan cache cleared.'
+            : `Failed to clear the scan cache: ${response?.message}`;
+    });
+
+    // keep the page in sync with changes made elsewhere (e.g. the blocked page)
+    chrome.storage.onChanged.addListener((changes) => {
+        if (changes.allowlist) {
+            renderAllowlist();
+        }
+        if (changes.site_modes) {
+            renderSiteModes();
+        }
+        if (changes.categories) {
+            renderCategories();
+        }
+        if (changes.feeds) {
+            renderFeeds();
+        }
+        if (changes.matcher_status) {
+            renderMatcherStatus();
+        }
+    });
+});
+
+
+// One row per setting, every change is saved on its own
+function renderSettings(settings) {
+    const body = document.getElementById('setting-entries');
+    const error = document.getElementById('settings-error');
+    body.replaceChildren();
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const row = document.createElement('tr');
+
+        const labelCell = document.createElement('td');
+        labelCell.textContent = setting.label;
+        labelCell.title = setting.description || '';
+        row.appendChild(labelCell);
+
+        let input;
+        if (setting.type === 'enum') {
+            input = document.createElement('select');
+            for (const value of setting.values) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                input.appendChild(option);
+            }
+        }
+        else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = setting.min;
+            input.max = setting.max;
+        }
+        input.value = settings[key];
+
+        input.addEventListener('change', async () => {
+            error.textContent = '';
+            try {
+                await saveSettings({ [key]: input.value });
+            }
+            catch (saveError) {
+                error.textContent = saveError.message;
+                input.value = settings[key];
+            }
+        });
+
+        const inputCell = document.createElement('td');
+        inputCell.appendChild(input);
+        row.appendChild(inputCell);
+
+        const descriptionCell = document.createElement('td');
+        descriptionCell.className = 'section-description';
+        descriptionCell.textContent = setting.description || '';
+        row.appendChild(descriptionCell);
+
+        body.appendChild(row);
+    }
+}
+
+
+async function renderAllowlist() {
+    const entries = await getAllowlist();
+    const body = document.getElementById('allowlist-entries');
+    body.replaceChildren();
+
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+        const cells = [
+            entry.kind,
+            entry.value,
+            entry.scope === 'session' ? 'This session' : 'Always',
+            entry.expires ? new Date(entry.expires).toLocaleString() : 'Never',
+        ];
+
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        const removeCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => removeAllowlistEntry(entry.id));
+        removeCell.appendChild(removeButton);
+        row.appendChild(removeCell);
+
+        body.appendChild(row);
+    }
+
+    document.getElementById('allowlist-empty').hidden = entries.length > 0;
+}
+
+
+function siteModeOptions() {
+    return SITE_MODES.map((mode) => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = SITE_MODE_LABELS[mode];
+        return option;
+    });
+}
+
+
+async function renderSiteModes() {
+    const modes = await getSiteModes();
+    const body = document.getElementById('site-mode-entries');
+    body.replaceChildren();
+
+    for (const [domain, mode] of Object.entries(modes)) {
+        const row = document.createElement('tr');
+
+        const domainCell = document.createElement('td');
+        domainCell.textContent = domain;
+        row.appendChild(domainCell);
+
+        const modeCell = document.createElement('td');
+        const select = document.createElement('select');
+        select.replaceChildren(...siteModeOptions());
+        select.value = mode;
+        select.addEventListener('change', () => setSiteMode(domain, select.value));
+        modeCell.appendChild(select);
+        row.appendChild(modeCell);
+
+        const removeCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => setSiteMode(domain, 'block'));
+        removeCell.appendChild(removeButton);
+        row.appendChild(removeCell);
+
+        body.appendChild(row);
+    }
+
+    document.getElementById('site-modes-empty').hidden = Object.keys(modes).length > 0;
+}
+
+
+async function renderCategories() {
+    const categories = await getCategories();
+    const body = document.getElementById('category-entries');
+    body.replaceChildren();
+
+    for (const category of categories) {
+        const row = document.createElement('tr');
+
+        for (const text of [category.id, category.name, category.action, category.encoding || 'default']) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        const removeCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', async () => {
+            if (!confirm(`Remove the category "${category.name}"?`)) {
+                return;
+            }
+            document.getElementById('category-error').textContent = '';
+            try {
+                await removeCategory(category.id, await getFeeds());
+            }
+            catch (error) {
+                document.getElementById('category-error').textContent = error.message;
+            }
+        });
+        removeCell.appendChild(removeButton);
+        row.appendChild(removeCell);
+
+        body.appendChild(row);
+    }
+
+    // the feed form offers the current categories
+    const select = document.getElementById('feed-category');
+    const selected = select.value;
+    select.replaceChildren(...categories.map((category) => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = category.name;
+        return option;
+    }));
+    if (categories.some(category => category.id === selected)) {
+        select.value = selected;
+    }
+}
+
+
+// comma separated list, numbers are column indexes
+function parseColumns(value, numeric) {
+    return value.split(',')
+        .map(column => column.trim())
+        .filter(column => column.length > 0)
+        .map(column => (numeric && /^\d+$/.test(column)) ? Number(column) : column);
+}
+
+
+function readFeedForm() {
+    const format = document.getElementById('feed-format').value;
+    const feed = {
+        name: document.getElementById('feed-name').value,
+        url: document.getElementById('feed-url').value,
+        category: document.getElementById('feed-category').value,
+        format,
+        refresh_hours: document.getElementById('feed-refresh').value,
+        enabled: true,
+        integrity: {
+            sha256: document.getElementById('feed-sha256').value.trim(),
+            public_key: document.getElementById('feed-public-key').value.trim(),
+            signature_url: document.getElementById('feed-signature-url').value.trim(),
+        },
+    };
+
+    if (format === 'csv') {
+        const jarm_column = document.getElementById('feed-csv-jarm').value.trim();
+        feed.csv = {
+            jarm_column: jarm_column === '' ? 0 : parseColumns(jarm_column, true)[0],
+            label_columns: parseColumns(document.getElementById('feed-csv-labels').value, true),
+            header: document.getElementById('feed-csv-header').checked,
+            delimiter: document.getElementById('feed-csv-delimiter').value || ',',
+        };
+    }
+    if (format === 'json' || format === 'delta') {
+        feed.json = {
+            jarm_field: document.getElementById('feed-json-jarm').value.trim() || 'jarm',
+            label_fields: parseColumns(document.getElementById('feed-json-labels').value, false),
+        };
+    }
+
+    return feed;
+}
+
+
+async function renderFeeds() {
+    const feeds = await getFeeds();
+    const body = document.getElementById('feed-entries');
+    body.replaceChildren();
+
+    for (const feed of feeds) {
+        const row = document.createElement('tr');
+
+        const enabledCell = document.createElement('td');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = feed.enabled;
+        enabled.addEventListener('change', () => setFeedEnabled(feed.id, enabled.checked));
+        enabledCell.appendChild(enabled);
+        row.appendChild(enabledCell);
+
+        const nameCell = document.createElement('td');
+        nameCell.textContent = feed.integrity ? `${feed.name} (pinned)` : feed.name;
+        nameCell.title = feed.url;
+        row.appendChild(nameCell);
+
+        for (const text of [feed.category, feed.format, feed.refresh_hours ? `${feed.refresh_hours} h` : 'default']) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        // last download: time, pattern count or error
+        const statusCell = document.createElement('td');
+        if (!feed.status) {
+            statusCell.textContent = 'Never';
+        }
+        else {
+            const status = feed.status;
+            const when = new Date(status.last_attempt).toLocaleString();
+            statusCell.className = status.ok ? 'status-ok' : 'status-error';
+
+            if (status.ok) {
+                statusCell.textContent = `${when}: ${status.count} JARMs`;
+                statusCell.textContent += status.version !== null && status.version !== undefined ? ` (version ${status.version})` : '';
+            }
+            else if (status.stale) {
+                statusCell.textContent = `${when}: ${status.error}, using the last good download (${status.count} JARMs)`;
+            }
+            else {
+                statusCell.textContent = `${when}: ${status.error}`;
+            }
+            if (!status.ok && status.failures > 1) {
+                statusCell.textContent += ` (${status.failures} failures in a row)`;
+            }
+
+            // the rejected entries are listed in the tooltip
+            if (status.rejected) {
+                statusCell.textContent += `, ${status.rejected} rejected`;
+                statusCell.title = (status.rejected_sample || [])
+                    .map(entry => `${entry.line}: ${entry.value} (${entry.reason})`)
+                    .join('\n');
+            }
+        }
+        row.appendChild(statusCell);
+
+        const removeCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            if (confirm(`Remove the feed "${feed.name}"?`)) {
+                removeFeed(feed.id);
+            }
+        });
+        removeCell.appendChild(removeButton);
+        row.appendChild(removeCell);
+
+        body.appendChild(row);
+    }
+}
+
+
+async function renderMatcherStatus() {
+    const data = await chrome.storage.local.get('matcher_status');
+    const status = data['matcher_status'];
+    const body = document.getElementById('matcher-status');
+    body.replaceChildren();
+
+    if (!status) {
+        document.getElementById('matcher-calibrated').textContent = 'Not calibrated yet.';
+        return;
+    }
+
+    for (const type of Object.keys(status.selected)) {
+        const row = document.createElement('tr');
+
+        const timings = Object.entries(status.timings[type] || {})
+            .map(([name, ms]) => `${name}: ${ms === null ? 'failed' : ms.toFixed(2)}`)
+            .join(', ');
+        const cells = [
+            type,
+            status.selected[type] || 'none',
+            // the automaton runs on the GPU, or on the CPU when WebGPU is unavailable
+            `${status.encoding[type]} on ${status.backend[type]}`,
+            timings || '-',
+        ];
+
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    }
+
+    const when = status.calibrated_at ? new Date(status.calibrated_at).toLocaleString() : 'never';
+    document.getElementById('matcher-calibrated').textContent =
+        `Backend choice: ${status.override}. Last calibration: ${when}.`;
+}
@@ -0,0 +1,161 @@
+/**
+ *    Patterns (patterns.js)
+ *    Pattern records that carry a stable ID plus the metadata of the feed they came from.
+ *
+ *    A record looks like:
+ *    { id: Integer, jarm: String, feed: String, label: String|null, added: Integer (ms) }
+ *
+ *    ID 0 is reserved for "no match", so IDs start from 1.
+ *    Every JARM is 62 lowercase hex characters, see normalizeJarm.
+*/
+
+import { sha256Hex } from "./integrity.js";
+
+
+// Constants
+export const JARM_LENGTH = 62;
+const JARM_REGEX = /^[0-9a-f]{62}$/;
+
+// the JARM of a server that answered none of the probes, it says nothing about the server
+export const EMPTY_JARM = '0'.repeat(JARM_LENGTH);
+
+
+/**
+ * Normalizes a JARM (trimmed, lowercased)
+ * Returns { jarm } or { error } with the reason it was rejected.
+ */
+export function normalizeJarm(value) {
+  const jarm = String(value ?? '').trim().toLowerCase();
+
+  if (jarm.length === 0) {
+    return { error: 'empty' };
+  }
+  if (jarm.length !== JARM_LENGTH) {
+    return { error: `expected ${JARM_LENGTH} characters, got ${jarm.length}` };
+  }
+  if (!JARM_REGEX.test(jarm)) {
+    return { error: 'not hexadecimal' };
+  }
+  if (jarm === EMPTY_JARM) {
+    return { error: 'all-zero JARM' };
+  }
+  return { jarm };
+}
+
+
+// Creates a pattern record (the ID is assigned later by assignPatternIds)
+export function createPattern(jarm, { feed = null, label = null } = {}) {
+  return {
+    id: 0,
+    jarm,
+    feed,
+    label,
+    added: 0,
+  };
+}
+
+
+/**
+ * Validates the entries parsed from a feed: { jarm, label, line }
+ * Returns { patterns, rejected }, rejected being [{ line, value, reason }].
+ */
+export function validateEntries(entries, feed_id) {
+  const patterns = [];
+  const rejected = [];
+
+  for (const entry of entries) {
+    const { jarm, error } = normalizeJarm(entry.jarm);
+    if (error) {
+      rejected.push({ line: entry.line, value: String(entry.jarm ?? '').slice(0, 80), reason: error });
+      continue;
+    }
+    patterns.push(createPattern(jarm, { feed: feed_id, label: entry.label ?? null }));
+  }
+
+  return { patterns, rejected };
+}
+
+
+// Converts legacy pattern lists (plain JARM strings) into pattern records
+export function normalizePatterns(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list.map((entry) => {
+    return typeof entry === 'string' ? createPattern(entry) : entry;
+  });
+}
+
+
+/**
+ * Assigns IDs to the pattern records.
+ * A JARM that was present in the previous list keeps its ID and date added,
+ * so the same fingerprint is always reported with the same ID across updates.
+ */
+export function assignPatternIds(patterns, previous = []) {
+  const known = new Map();
+  let next_id = 0;
+
+  for (const pattern of normalizePatterns(previous)) {
+    if (pattern.id) {
+      known.set(pattern.jarm, pattern);
+      next_id = Math.max(next_id, pattern.id);
+    }
+  }
+
+  for (const pattern of patterns) {
+    next_id = Math.max(next_id, pattern.id || 0);
+  }
+
+  const now = Date.now();
+  for (const pattern of patterns) {
+    if (pattern.id) {
+      pattern.added = pattern.added || now;
+      continue;
+    }
+
+    const old = known.get(pattern.jarm);
+    pattern.id = old ? old.id : ++next_id;
+    pattern.added = old ? old.added : now;
+  }
+
+  return patterns;
+}
+
+
+// Counts the JARMs added and removed between two pattern sets
+export function diffPatterns(previous, next) {
+  const before = new Set(previous.map(pattern => pattern.jarm));
+  const after = new Set(next.map(pattern => pattern.jarm));
+
+  let added = 0;
+  for (const jarm of after) {
+    if (!before.has(jarm)) {
+      added++;
+    }
+  }
+  return { added, removed: before.size - (after.size - added) };
+}
+
+
+// Digest of what an automaton is built from (IDs and JARMs), the automaton cache is checked against it
+export async function patternSetDigest(patterns) {
+  const lines = patterns
+    .map(pattern => `${pattern.id}:${pattern.jarm}`)
+    .sort()
+    .join('\n');
+  return await sha256Hex(new TextEncoder().encode(lines));
+}
+
+
+// Builds an ID -> record index for fast lookups after a match
+export function indexPatterns(patterns) {
+  const index = new Map();
+  for (const pattern of patterns) {
+    index.set(pattern.id, pattern);
+  }
+  return index;
+}
+
+// End of Patterns (patterns.js)
@@ -21,8 +21,8 @@ fn main(@builtin(global_invocation_id) id : vec3<u32>) {
     // transition on the table to find next state
     state = transition_table[state * ALPHABET_SIZE + char];
 
-    // bitwise to avoid branching
-    found = found | output[state];
+    // output holds pattern IDs (0 = no match), max() keeps the ID without branching
+    found = max(found, output[state]);
   }
 
   result[thread_id] = found;
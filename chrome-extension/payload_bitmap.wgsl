@@ -0,0 +1,39 @@
+// Exact-match trie for fixed-length JARMs (see #buildBitmap in aho_corasick.js)
+// Every node is 2 u32: [child mask, first child], the first child of a leaf holds the pattern ID.
+@group(0) @binding(0) var<storage, read> nodes: array<u32>;
+@group(0) @binding(1) var<storage, read> inputs: array<u32>;
+@group(0) @binding(2) var<storage, read_write> result: array<u32>;
+
+const JARM_LENGTH: u32 = 62u;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) id : vec3<u32>) {
+  let thread_id = id.x;
+  var node: u32 = 0u;
+  var found: u32 = 0u;
+  var matched: bool = true;
+
+  // calculate the starting point of each thread on the input buffer
+  let base = thread_id * JARM_LENGTH;
+
+  for (var i: u32 = 0u; i < JARM_LENGTH; i++) {
+    let char: u32 = inputs[base + i];
+    let mask: u32 = nodes[node * 2u];
+
+    // invalid characters map past bit 15, they are never in the mask
+    let bit: u32 = 1u << (char & 31u);
+    if ((mask & bit) == 0u) {
+      matched = false;
+      break;
+    }
+
+    // children are stored in character order, the rank of the bit is the child offset
+    node = nodes[node * 2u + 1u] + countOneBits(mask & (bit - 1u));
+  }
+
+  if (matched) {
+    found = nodes[node * 2u + 1u];
+  }
+
+  result[thread_id] = found;
+}
@@ -1,3 +1,18 @@
+const STATUS_LABELS = {
+    pending: 'Pending',
+    clean: 'Clean',
+    matched: 'Matched',
+    allowlisted: 'Allowlisted, not scanned',
+
+    // failed scans, see scanResult.js
+    host_missing: 'Native host not installed',
+    timeout: 'Scan timed out',
+    dns_failure: 'Host not found',
+    tls_refused: 'Connection refused',
+    no_tls: 'No TLS on this port',
+    error: 'Scan failed',
+};
+
 document.addEventListener('DOMContentLoaded', () => {
     
     // on each popup load show the current state of the extension
@@ -22,11 +37,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const domain = document.getElementById('current-domain');
         domain.textContent = (url.protocol.startsWith('chrome')) ? 'Internal Page' : url.hostname;
         
-        // show the tracker count for that tab
-        const data = await chrome.storage.local.get('trackers');
-        const counts = data['trackers'];
-        const trackers = document.getElementById('counted-number');
-        trackers.textContent = counts[tab.id] || 0;
+        // show the scan of the site, its trackers and the malicious servers embedded in it
+        await renderTabState(tab.id);
     })();
 
     // event listener for the activation switch
@@ -42,16 +54,38 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     );
     
-    // listener for the state of the extension
-    const trackers = document.getElementById('counted-number');
+    // listener for the state of the tab (see tabState.js)
     chrome.storage.onChanged.addListener(async (changes, namespace) => {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (namespace === 'local' && changes.trackers) {
-            const updatedSet = changes.trackers.newValue;
-            trackers.textContent = updatedSet[tab.id];
+        if (namespace === 'session' && changes[`tab_${tab.id}`]) {
+            await renderTabState(tab.id);
+        }
+    });
+
+    // protection mode of the site, the global switch still takes precedence
+    const siteMode = document.getElementById('site-mode');
+    siteMode.addEventListener('change', async () => {
+        await chrome.runtime.sendMessage({ action: 'setSiteMode', domain: siteMode.dataset.domain, mode: siteMode.value });
+    });
+
+    // rescan button, skips the cached scan of the site
+    const rescanButton = document.getElementById('rescan_button');
+    rescanButton.addEventListener('click', async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        rescanButton.disabled = true;
+        const response = await chrome.runtime.sendMessage({ action: 'rescanTab', tabId: tab.id });
+        if (response?.status !== 'success') {
+            document.getElementById('scan-status').textContent = `Rescan failed: ${response?.message}`;
         }
+        rescanButton.disabled = false;
     });
     
+    // settings link (options page)
+    document.getElementById('options_link').addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+
     // update dataset button
     const refreshButton = document.getElementById('refresh_button');
     refreshButton.addEventListener('click', () => {
@@ -77,4 +111,98 @@ document.addEventListener('DOMContentLoaded', () => {
         );
     });
 
-});
\ No newline at end of file
+});
+
+
+// asks the background for the state of the tab and shows it
+async function renderTabState(tabId) {
+    const response = await chrome.runtime.sendMessage({ action: 'getTabState', tabId });
+    if (response?.status !== 'success') {
+        return;
+    }
+
+    const { domain, mode, site, trackers, tracker_count, blocked } = response.state;
+    renderSiteMode(domain, mode);
+    renderSite(site);
+    document.getElementById('counted-number').textContent = tracker_count;
+    renderHosts(document.getElementById('tracker-list'), trackers.map(tracker => ({ ...tracker, note: tracker.category?.name })));
+    renderBlocked(blocked);
+}
+
+
+// the mode selector of the site in the tab, hidden on pages that are not on the web
+function renderSiteMode(domain, mode) {
+    const section = document.getElementById('site-mode-section');
+    const select = document.getElementById('site-mode');
+    section.hidden = !domain;
+    select.dataset.domain = domain || '';
+    select.value = mode;
+    select.title = domain ? `Applies to ${domain} and its subdomains` : '';
+}
+
+
+// the scan of the site in the tab: status, JARM, IP and age
+function renderSite(site) {
+    document.getElementById('scan-section').hidden = !site;
+    if (!site) {
+        return;
+    }
+
+    const status = document.getElementById('scan-status');
+    status.className = `status-${site.status}`;
+    status.textContent = STATUS_LABELS[site.status];
+    if (site.status === 'matched') {
+        status.textContent += `: ${site.category.name}`;
+    }
+    status.title = site.error || '';
+
+    document.getElementById('scan-jarm').textContent = site.jarm || '-';
+    document.getElementById('scan-ip').textContent = site.ip || '-';
+    document.getElementById('scan-age').textContent = site.scanned_at ? formatAge(Date.now() - site.scanned_at) : '-';
+}
+
+
+// "just now", "5 min ago", "3 h ago", ...
+function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) {
+        return 'just now';
+    }
+    if (minutes < 60) {
+        return `${minutes} min ago`;
+    }
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours} h ago` : `${Math.floor(hours / 24)} d ago`;
+}
+
+
+// host:port items with a note in gray, the port is left out when it is 443
+function renderHosts(list, hosts) {
+    list.replaceChildren();
+    for (const host of hosts) {
+        const item = document.createElement('li');
+        item.textContent = host.port === 443 ? host.host : `${host.host}:${host.port}`;
+
+        if (host.note) {
+            const note = document.createElement('span');
+            note.className = 'host-type';
+            note.textContent = `(${host.note})`;
+            item.appendChild(note);
+        }
+
+        list.appendChild(item);
+    }
+}
+
+
+// lists the malicious embedded servers (iframes, scripts, XHR endpoints, ...), the warned ones were not blocked
+function renderBlocked(resources) {
+    const section = document.getElementById('blocked-section');
+    renderHosts(document.getElementById('blocked-list'),
+        resources.map(resource => ({
+            host: resource.domain,
+            port: resource.port,
+            note: resource.action === 'warn' ? `${resource.type}, warned only` : resource.type,
+        })));
+    section.hidden = resources.length === 0;
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+document.addEventListener('DOMContentLoaded', () => {
+
+    // the service worker passes the block details in the query string
+    const params = new URLSearchParams(location.search);
+    const details = {
+        url: params.get('url') || '',
+        domain: params.get('domain') || '',
+        port: params.get('port') || '443',
+        ip: params.get('ip') || '',
+        jarm: params.get('jarm') || '',
+        list: params.get('list') || '',
+        pattern_id: params.get('pattern_id') || '',
+        feed: params.get('feed') || '',
+        label: params.get('label') || '',
+        back: Number(params.get('back')) || 1,
+    };
+
+    // show the details of the blocked server
+    document.getElementById('detail-domain').textContent = details.domain ? `${details.domain}:${details.port}` : '-';
+    document.getElementById('detail-url').textContent = details.url || '-';
+    document.getElementById('detail-ip').textContent = details.ip || '-';
+    document.getElementById('detail-jarm').textContent = details.jarm || '-';
+
+    let matched = details.list || '-';
+    if (details.pattern_id) {
+        matched += ` (pattern #${details.pattern_id}`;
+        matched += details.label ? `, ${details.label}` : '';
+        matched += details.feed ? `, feed: ${details.feed}` : '';
+        matched += ')';
+    }
+    document.getElementById('detail-list').textContent = matched;
+
+    const notice = document.getElementById('notice');
+
+    // go back to the page before the blocked one, over the blocked URL when it is in the history (see warningPage.js)
+    document.getElementById('go_back').addEventListener('click', async () => {
+        if (history.length > details.back) {
+            history.go(-details.back);
+            return;
+        }
+        const tab = await chrome.tabs.getCurrent();
+        chrome.tabs.update(tab.id, { url: 'chrome://newtab/' });
+    });
+
+    // proceed anyway, after adding an exception for this session or permanently
+    const proceed = async (scope) => {
+        const when = scope === 'always' ? 'from now on' : 'for this browser session';
+        if (!confirm(`Visit ${details.domain} anyway? JARMGuard will not block it ${when}.`)) {
+            return;
+        }
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'addException',
+            domain: details.domain,
+            scope,
+        });
+        if (response?.status !== 'success') {
+            notice.textContent = 'Could not add the exception.';
+            console.error('[-] Failed to add exception:', response);
+            return;
+        }
+        location.replace(details.url || `https://${details.domain}:${details.port}/`);
+    };
+
+    // exceptions are only added from the page in its own tab, a framed copy could be clickjacked by the page around it
+    if (window.top !== window) {
+        document.getElementById('proceed_session').hidden = true;
+        document.getElementById('proceed_always').hidden = true;
+        notice.textContent = 'Open the blocked server in its own tab to add an exception.';
+    }
+    document.getElementById('proceed_session').addEventListener('click', () => proceed('session'));
+    document.getElementById('proceed_always').addEventListener('click', () => proceed('always'));
+
+    // record the false positive locally
+    const reportButton = document.getElementById('report_false_positive');
+    reportButton.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({
+            action: 'reportFalsePositive',
+            report: details,
+        });
+        if (response?.status === 'success') {
+            reportButton.disabled = true;
+            notice.textContent = 'Thanks, the false positive was recorded.';
+        } else {
+            notice.textContent = 'Could not record the report.';
+            console.error('[-] Failed to report false positive:', response);
+        }
+    });
+
+});
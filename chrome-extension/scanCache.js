@@ -0,0 +1,225 @@
+/**
+ *    Scan Cache (scanCache.js)
+ *    IndexedDB cache of the JARM scan results, survives service worker restarts.
+ *
+ *    Record: { host, port, ip, jarm, verdict, outcome, error, scanned_at, accessed }
+ *      key:     [host, port, ip], ip is '' when the scan failed before resolving
+ *      verdict: 'pending' (not matched yet), 'clean', 'error', or the ID of the matched category (see categories.js)
+ *      outcome: outcome of the scan (see scanResult.js), missing in records of older versions
+*/
+
+
+// Constants
+const DB_NAME = "jarmguard";
+const DB_VERSION = 1;
+const SCAN_STORE = "scans";
+
+// defaults, see configureScanCache()
+const config = {
+  ttl: 24 * 60 * 60 * 1000,       // successful scans are reused for 24 hours
+  negative_ttl: 10 * 60 * 1000,   // failed scans are not retried for 10 minutes
+  max_entries: 5000,              // least recently used entries are evicted above this
+};
+
+let db_promise = null;
+
+
+// Overrides the TTLs (ms) and the size limit
+export function configureScanCache({ ttl, negative_ttl, max_entries } = {}) {
+  if (Number.isFinite(ttl)) config.ttl = ttl;
+  if (Number.isFinite(negative_ttl)) config.negative_ttl = negative_ttl;
+  if (Number.isFinite(max_entries)) config.max_entries = max_entries;
+}
+
+
+// Wraps an IDBRequest into a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+
+function openDatabase() {
+  if (db_promise) {
+    return db_promise;
+  }
+
+  db_promise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.createObjectStore(SCAN_STORE, { keyPath: ["host", "port", "ip"] });
+      store.createIndex("target", ["host", "port"]);
+      store.createIndex("accessed", "accessed");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      db_promise = null;
+      reject(request.error);
+    };
+  });
+
+  return db_promise;
+}
+
+
+async function transaction(mode, callback) {
+  const db = await openDatabase();
+  const tx = db.transaction(SCAN_STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  try {
+    const result = await callback(tx.objectStore(SCAN_STORE));
+    await done;
+    return result;
+  }
+  catch (error) {
+    done.catch(() => {});
+    if (!tx.error) {
+      tx.abort();
+    }
+    throw error;
+  }
+}
+
+
+function isFresh(record, now = Date.now()) {
+  const ttl = record.verdict === 'error' ? config.negative_ttl : config.ttl;
+  return now - record.scanned_at < ttl;
+}
+
+
+/**
+ * Returns the most recent fresh scan of host:port, or null
+ * Failed scans are returned as well (negative caching), check record.error
+ */
+export async function lookupScan(host, port) {
+  try {
+    return await transaction("readwrite", async (store) => {
+      const records = await promisify(store.index("target").getAll([host, port]));
+      const now = Date.now();
+
+      const fresh = records
+        .filter(record => isFresh(record, now))
+        .sort((a, b) => b.scanned_at - a.scanned_at)[0];
+
+      if (!fresh) {
+        return null;
+      }
+
+      fresh.accessed = now;
+      store.put(fresh);
+      return fresh;
+    });
+  }
+  catch (error) {
+    console.error("[-] lookupScan failed:", error);
+    return null;
+  }
+}
+
+
+// Stores a scan result (see scanResult.js), a failed scan has an error instead of a jarm
+export async function saveScan({ host, port, ip, jarm, outcome, error }) {
+  const now = Date.now();
+  const record = {
+    host,
+    port,
+    ip: ip || '',
+    jarm: jarm || null,
+    verdict: error ? 'error' : 'pending',
+    outcome: outcome || (error ? 'error' : 'success'),
+    error: error || null,
+    scanned_at: now,
+    accessed: now,
+  };
+
+  try {
+    await transaction("readwrite", async (store) => {
+      store.put(record);
+
+      // LRU eviction
+      const count = await promisify(store.count());
+      let excess = count - config.max_entries;
+      if (excess <= 0) {
+        return;
+      }
+
+      await new Promise((resolve, reject) => {
+        const cursor_request = store.index("accessed").openCursor();
+        cursor_request.onsuccess = () => {
+          const cursor = cursor_request.result;
+          if (!cursor || excess <= 0) {
+            resolve();
+            return;
+          }
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+        cursor_request.onerror = () => reject(cursor_request.error);
+      });
+    });
+  }
+  catch (error) {
+    console.error("[-] saveScan failed:", error);
+  }
+}
+
+
+// Records the verdict of a cached scan once it has been matched
+export async function setScanVerdict(host, port, ip, verdict) {
+  try {
+    await transaction("readwrite", async (store) => {
+      const record = await promisify(store.get([host, port, ip || '']));
+      if (record) {
+        record.verdict = verdict;
+        store.put(record);
+      }
+    });
+  }
+  catch (error) {
+    console.error("[-] setScanVerdict failed:", error);
+  }
+}
+
+
+// Removes the cached scans of host:port, so it is scanned again (e.g. "Rescan now" in the popup)
+export async function forgetScan(host, port) {
+  try {
+    await transaction("readwrite", async (store) => {
+      const keys = await promisify(store.index("target").getAllKeys([host, port]));
+      for (const key of keys) {
+        store.delete(key);
+      }
+    });
+  }
+  catch (error) {
+    console.error("[-] forgetScan failed:", error);
+    throw error;
+  }
+}
+
+
+// Removes every cached scan
+export async function clearScanCache() {
+  try {
+    await transaction("readwrite", async (store) => {
+      store.clear();
+    });
+    console.log("[+] Scan cache cleared.");
+  }
+  catch (error) {
+    console.error("[-] clearScanCache failed:", error);
+    throw error;
+  }
+}
+
+// End of Scan Cache (scanCache.js)
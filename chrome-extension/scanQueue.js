@@ -0,0 +1,197 @@
+/**
+ *    Scan Queue (scanQueue.js)
+ *    Orders the native scans: one scan per host:port however many requests wait for it,
+ *    page navigations before their subresources, and a cap on the concurrent scans and on the scans started per second.
+ *
+ *    Every waiter belongs to a tab. Closing the tab cancels its waiters, a queued scan nobody waits for is dropped.
+ *    Scans already running are not interrupted, the native host cannot stop them.
+ *
+ *    A scan to retry goes back to the queue after its delay, it does not hold a slot meanwhile.
+*/
+
+import { targetKey } from "./target.js";
+
+
+// Constants
+const DEFAULT_MAX_CONCURRENT = 4;
+const DEFAULT_RATE_PER_SECOND = 10;
+const RATE_WINDOW_MS = 1000;
+
+// lower goes first, anything not listed is a subresource
+const PRIORITIES = {
+  main_frame: 0,
+  sub_frame: 1,
+};
+const SUBRESOURCE_PRIORITY = 2;
+
+
+// Priority of a scan for a request of this resource type
+export function scanPriority(type) {
+  return PRIORITIES[type] ?? SUBRESOURCE_PRIORITY;
+}
+
+
+export class ScanQueue {
+
+  /**
+   * scan(host, port, attempt) runs one scan and resolves with its result, every waiter of the host:port gets it
+   * retry(result, attempt) returns the delay (ms) before the scan is run again, or null to keep the result
+   */
+  constructor(scan, { max_concurrent = DEFAULT_MAX_CONCURRENT, rate_per_second = DEFAULT_RATE_PER_SECOND, retry = () => null } = {}) {
+    this.scan = scan;
+    this.retry = retry;
+    this.max_concurrent = max_concurrent;
+    this.rate_per_second = rate_per_second;
+
+    this.jobs = new Map();        // host:port -> job, queued or running
+    this.running = 0;
+    this.started = [];            // start times of the scans of the last RATE_WINDOW_MS
+    this.next_seq = 0;            // keeps the order of arrival within a priority
+    this.rate_timer = null;
+  }
+
+
+  // Changes the limits, they apply to the next scans started
+  configure({ max_concurrent, rate_per_second } = {}) {
+    if (Number.isInteger(max_concurrent) && max_concurrent > 0) this.max_concurrent = max_concurrent;
+    if (Number.isInteger(rate_per_second) && rate_per_second > 0) this.rate_per_second = rate_per_second;
+    this.#pump();
+  }
+
+
+  /**
+   * Waits for the scan of host:port, queued unless one is queued or running already
+   * type is the resource type of the request, a more urgent waiter moves a queued scan up.
+   * Resolves with the result of the scan, or null when the waiter was cancelled. Rejects when the scan fails.
+   */
+  enqueue({ host, port, tabId, type }) {
+    const key = targetKey(host, port);
+    const priority = scanPriority(type);
+
+    let job = this.jobs.get(key);
+    if (!job) {
+      job = { key, host, port, priority, seq: this.next_seq++, running: false, attempt: 0, not_before: 0, waiters: [] };
+      this.jobs.set(key, job);
+    }
+    else if (!job.running && priority < job.priority) {
+      job.priority = priority;
+    }
+
+    const result = new Promise((resolve, reject) => {
+      job.waiters.push({ tabId, resolve, reject });
+    });
+    this.#pump();
+    return result;
+  }
+
+
+  /**
+   * Cancels the waiters of a closed tab, their promises resolve with null
+   * Returns the number of queued scans dropped because nobody waits for them anymore.
+   */
+  cancelTab(tabId) {
+    let dropped = 0;
+    for (const job of this.jobs.values()) {
+      const cancelled = job.waiters.filter(waiter => waiter.tabId === tabId);
+      if (cancelled.length === 0) {
+        continue;
+      }
+
+      job.waiters = job.waiters.filter(waiter => waiter.tabId !== tabId);
+      cancelled.forEach(waiter => waiter.resolve(null));
+
+      if (!job.running && job.waiters.length === 0) {
+        this.jobs.delete(job.key);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+
+  // Counts of the queued and running scans, for the logs
+  status() {
+    return { queued: this.jobs.size - this.running, running: this.running };
+  }
+
+
+  // The most urgent queued scan, the oldest one first within a priority (scans waiting to be retried are skipped)
+  #next() {
+    const now = Date.now();
+    let next = null;
+    for (const job of this.jobs.values()) {
+      if (!job.running && job.not_before <= now && (!next || job.priority < next.priority || (job.priority === next.priority && job.seq < next.seq))) {
+        next = job;
+      }
+    }
+    return next;
+  }
+
+
+  // Starts queued scans while the concurrency and the rate allow it
+  #pump() {
+    while (this.running < this.max_concurrent) {
+      const job = this.#next();
+      if (!job) {
+        return;
+      }
+
+      const now = Date.now();
+      this.started = this.started.filter(time => now - time < RATE_WINDOW_MS);
+      if (this.started.length >= this.rate_per_second) {
+        // try again when the oldest start leaves the window
+        if (!this.rate_timer) {
+          this.rate_timer = setTimeout(() => {
+            this.rate_timer = null;
+            this.#pump();
+          }, RATE_WINDOW_MS - (now - this.started[0]));
+        }
+        return;
+      }
+
+      this.started.push(now);
+      this.#run(job);
+    }
+  }
+
+
+  async #run(job) {
+    job.running = true;
+    this.running++;
+
+    let result;
+    let error = null;
+    try {
+      result = await this.scan(job.host, job.port, job.attempt);
+    }
+    catch (scan_error) {
+      error = scan_error;
+    }
+
+    this.running--;
+
+    // back to the queue, unless every waiter was cancelled meanwhile
+    const delay = error ? null : this.retry(result, job.attempt);
+    if (delay !== null && job.waiters.length > 0) {
+      job.running = false;
+      job.attempt++;
+      job.not_before = Date.now() + delay;
+      setTimeout(() => this.#pump(), delay);
+      this.#pump();
+      return;
+    }
+
+    this.jobs.delete(job.key);
+    for (const waiter of job.waiters) {
+      if (error) {
+        waiter.reject(error);
+      }
+      else {
+        waiter.resolve(result);
+      }
+    }
+    this.#pump();
+  }
+}
+
+// End of Scan Queue (scanQueue.js)
@@ -0,0 +1,89 @@
+/**
+ *    Scan Results (scanResult.js)
+ *    Turns the answer of the native host, or the reason there is none, into a typed scan result.
+ *
+ *    Result: { outcome, jarm, ip, error }
+ *    Outcomes:
+ *      'success'      - the server answered the TLS probes, jarm is its fingerprint
+ *      'host_missing' - the native host is not installed, or not allowed for this extension
+ *      'timeout'      - the scan did not finish in time
+ *      'dns_failure'  - the host name does not resolve
+ *      'tls_refused'  - the host resolved, but the connection was refused or reset
+ *      'no_tls'       - the server accepted the connection but answered none of the TLS probes
+ *      'error'        - anything else (the native host crashed, a malformed response, ...)
+ *    Only 'timeout' and 'error' are transient, they are retried with backoff (see retryDelay()).
+*/
+
+
+export const SCAN_OUTCOMES = ['success', 'host_missing', 'timeout', 'dns_failure', 'tls_refused', 'no_tls', 'error'];
+
+const TRANSIENT_OUTCOMES = ['timeout', 'error'];
+const RETRY_BASE_DELAY_MS = 2000;
+
+// what threaded_jarm.py prints when no probe got an answer
+const EMPTY_JARM = '0'.repeat(62);
+const UNRESOLVED_IP = 'IP failed to resolve.';
+const JARM_REGEX = /^[0-9a-f]{62}$/i;
+
+// 'kind' of the errors of native_host.py
+const NATIVE_ERROR_KINDS = {
+  dns: 'dns_failure',
+  timeout: 'timeout',
+};
+
+// lastError messages of connectNative when the native host cannot be started
+const HOST_MISSING_REGEX = /native messaging host not found|access to the specified native messaging host is forbidden/i;
+
+
+function failure(outcome, error, ip = null) {
+  return { outcome, jarm: null, ip, error };
+}
+
+
+// Classifies a response of the native host: { 'Resolved IP', JARM } or { error, kind }
+export function classifyResponse(response) {
+  if (response.error) {
+    return failure(NATIVE_ERROR_KINDS[response.kind] || 'error', response.error);
+  }
+
+  // threaded_jarm.py learns the IP from the connected socket, the native host checked the name resolves
+  const ip = response['Resolved IP'];
+  if (!ip || ip === UNRESOLVED_IP) {
+    return failure('tls_refused', "Connection refused or reset");
+  }
+  if (response.JARM === EMPTY_JARM) {
+    return failure('no_tls', "No answer to the TLS probes", ip);
+  }
+  if (!JARM_REGEX.test(response.JARM || '')) {
+    return failure('error', `Malformed JARM: ${response.JARM}`, ip);
+  }
+
+  return { outcome: 'success', jarm: response.JARM, ip, error: null };
+}
+
+
+// Classifies a scan that got no response (see NativeScanner in nativePort.js)
+export function classifyFailure(error) {
+  const message = error?.message || String(error);
+  if (HOST_MISSING_REGEX.test(message)) {
+    return failure('host_missing', message);
+  }
+  if (/timed out/i.test(message)) {
+    return failure('timeout', message);
+  }
+  return failure('error', message);
+}
+
+
+/**
+ * Delay (ms) before retrying a scan, or null when it is not retried
+ * attempt counts from 0, the delay doubles on every retry.
+ */
+export function retryDelay(result, attempt, max_retries) {
+  if (!TRANSIENT_OUTCOMES.includes(result.outcome) || attempt >= max_retries) {
+    return null;
+  }
+  return RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+// End of Scan Results (scanResult.js)
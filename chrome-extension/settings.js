@@ -0,0 +1,247 @@
+/**
+ *    Settings (settings.js)
+ *    Runtime settings, stored under 'settings' in chrome.storage.local as { version, values }.
+ *
+ *    Every setting is declared in SETTINGS with its type, default and bounds. Stored values are
+ *    validated on every read, so a missing or invalid value falls back to its default.
+ *    Changes take effect live: the service worker applies them from onSettingsChanged().
+ *
+ *    Types: 'integer' { min, max } or 'enum' { values }, label and description are shown on the options page
+*/
+
+
+export const SETTINGS = {
+  // scanning
+  non_tls_policy: {
+    type: 'enum', default: 'skip', values: ['skip', 'scan-443'],
+    label: "Plain http:// and ws:// requests",
+    description: "'skip' does not scan them, 'scan-443' fingerprints the TLS server on port 443 of the same host. Blacklisted hosts are blocked either way",
+  },
+  scanned_hosts_reset_minutes: {
+    type: 'integer', default: 5, min: 1, max: 1440,
+    label: "Forget the scanned hosts every (minutes)",
+    description: "Hosts are looked up again after this, the scan cache still spares the native host",
+  },
+  scan_max_concurrent: {
+    type: 'integer', default: 4, min: 1, max: 16,
+    label: "Concurrent scans",
+    description: "Native scans running at the same time, page navigations are scanned before their subresources",
+  },
+  scan_rate_per_second: {
+    type: 'integer', default: 10, min: 1, max: 100,
+    label: "Scans started per second",
+  },
+  scan_retries: {
+    type: 'integer', default: 2, min: 0, max: 5,
+    label: "Retries of a failed scan",
+    description: "Timeouts and native host failures are scanned again after 2s, then 4s, 8s, ...",
+  },
+
+  // batching
+  batch_timeout_ms: {
+    type: 'integer', default: 1000, min: 10, max: 60000,
+    label: "Batch timeout (ms)",
+    description: "Scans are matched at the latest this long after the first one of a batch",
+  },
+  max_batch_size: {
+    type: 'integer', default: 50, min: 1, max: 1024,
+    label: "Batch size",
+    description: "Scans are matched right away once a batch has this many",
+  },
+  gpu_max_batch: {
+    type: 'integer', default: 1024, min: 64, max: 16384,
+    label: "GPU dispatch size (JARMs)",
+    description: "Size of the GPU buffers, larger batches are matched in several dispatches",
+  },
+  automaton_encoding: {
+    type: 'enum', default: 'auto', values: ['auto', 'dense', 'bitmap'],
+    label: "Automaton encoding",
+    description: "'auto' uses the compact bitmap trie for large lists (see aho_corasick.js), a category can pick its own",
+  },
+
+  // feeds
+  feed_refresh_hours: {
+    type: 'integer', default: 8, min: 1, max: 720,
+    label: "Feed refresh (hours)",
+    description: "For the feeds without their own refresh interval",
+  },
+
+  // scan cache (see scanCache.js)
+  scan_cache_ttl_hours: {
+    type: 'integer', default: 24, min: 1, max: 720,
+    label: "Reuse scans for (hours)",
+    description: "A cached JARM is scanned again after this",
+  },
+  scan_cache_negative_ttl_minutes: {
+    type: 'integer', default: 10, min: 1, max: 1440,
+    label: "Retry failed scans after (minutes)",
+  },
+  scan_cache_max_entries: {
+    type: 'integer', default: 5000, min: 100, max: 100000,
+    label: "Scan cache size (hosts)",
+    description: "Least recently used hosts are evicted above this",
+  },
+
+  // event log (see eventLog.js)
+  event_log_max_age_days: {
+    type: 'integer', default: 90, min: 1, max: 3650,
+    label: "Keep detections for (days)",
+  },
+  event_log_max_events: {
+    type: 'integer', default: 20000, min: 100, max: 1000000,
+    label: "Keep at most (detections)",
+  },
+};
+
+
+/**
+ * Each migration upgrades the stored values by one version, it gets and returns the values
+ * A page may save the values it read before the upgrade, so a migration can run again on values it
+ * already upgraded and must leave them as they are.
+ */
+const MIGRATIONS = [];
+
+export const SETTINGS_VERSION = MIGRATIONS.length;
+
+// writes to 'settings' run one after the other
+let update_chain = Promise.resolve();
+
+
+// The defaults of every setting
+export function defaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default]));
+}
+
+
+/**
+ * Validates one value, throws on invalid input
+ * Returns the value converted to the type of the setting.
+ */
+export function validateSetting(key, value) {
+  const setting = SETTINGS[key];
+  if (!setting) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  if (setting.type === 'enum') {
+    if (!setting.values.includes(value)) {
+      throw new Error(`${setting.label}: expected one of ${setting.values.join(', ')}`);
+    }
+    return value;
+  }
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    throw new Error(`${setting.label}: expected a whole number`);
+  }
+  if (number < setting.min || number > setting.max) {
+    throw new Error(`${setting.label}: expected a number from ${setting.min} to ${setting.max}`);
+  }
+  return number;
+}
+
+
+// The stored values over the defaults, invalid and unknown values are dropped
+function normalizeSettings(values) {
+  const settings = defaultSettings();
+  for (const [key, value] of Object.entries(values || {})) {
+    try {
+      settings[key] = validateSetting(key, value);
+    }
+    catch (error) {
+      if (SETTINGS[key]) {
+        console.warn(`[WARN] Ignoring the stored setting ${key}:`, error.message);
+      }
+    }
+  }
+  return settings;
+}
+
+
+// Stored { version, values }, as they are (see migrateSettings())
+async function readStored() {
+  const data = await chrome.storage.local.get('settings');
+  return data['settings'] || { version: 0, values: {} };
+}
+
+
+/**
+ * Brings the stored values up to SETTINGS_VERSION
+ * Run by the service worker alone, before it reads them. The other pages read and save the values
+ * without upgrading them, two pages never run the same migration at once.
+ */
+export function migrateSettings() {
+  const result = update_chain.then(async () => {
+    const stored = await readStored();
+    if (stored.version >= SETTINGS_VERSION) {
+      return;
+    }
+
+    let values = { ...stored.values };
+    for (let i = stored.version; i < MIGRATIONS.length; i++) {
+      console.log(`[+] Running settings migration ${i + 1}: ${MIGRATIONS[i].name}`);
+      values = await MIGRATIONS[i](values);
+    }
+    await chrome.storage.local.set({ 'settings': { version: SETTINGS_VERSION, values } });
+  });
+
+  update_chain = result.catch(() => {});
+  return result;
+}
+
+
+// Returns every setting, the default where nothing valid is stored
+export async function getSettings() {
+  const result = update_chain.then(readStored);
+  update_chain = result.catch(() => {});
+  return normalizeSettings((await result).values);
+}
+
+
+/**
+ * Changes some settings: { key: value }
+ * Every value is validated first, nothing is saved when one of them is invalid.
+ * Returns all the settings.
+ */
+export async function saveSettings(changes) {
+  const validated = {};
+  for (const [key, value] of Object.entries(changes)) {
+    validated[key] = validateSetting(key, value);
+  }
+
+  // the version stays, values not upgraded yet still are on the next start of the service worker
+  const result = update_chain.then(async () => {
+    const stored = await readStored();
+    const values = { ...stored.values, ...validated };
+    await chrome.storage.local.set({ 'settings': { version: stored.version, values } });
+    return normalizeSettings(values);
+  });
+
+  update_chain = result.catch(() => {});
+  return result;
+}
+
+
+// Puts every setting back to its default
+export async function resetSettings() {
+  const result = update_chain.then(() => chrome.storage.local.set({ 'settings': { version: SETTINGS_VERSION, values: {} } }));
+  update_chain = result.catch(() => {});
+  await result;
+  return defaultSettings();
+}
+
+
+/**
+ * Calls back with (settings, previous) whenever the settings change, in any extension page
+ * Both are complete settings objects, compare them to find what changed.
+ */
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.settings) {
+      return;
+    }
+    callback(normalizeSettings(changes.settings.newValue?.values), normalizeSettings(changes.settings.oldValue?.values));
+  });
+}
+
+// End of Settings (settings.js)
@@ -0,0 +1,153 @@
+/**
+ *    Site Modes (siteModes.js)
+ *    Per-site protection, stored under 'site_modes' in chrome.storage.local as { domain: mode }.
+ *    A site is the registrable domain of the page in the tab (see the Public Suffix List in publicSuffixList.js),
+ *    the mode covers every request the page makes. www.example.com and example.com are one site, while
+ *    alice.github.io and bob.github.io are two, github.io being a public suffix.
+ *    The global on/off switch ('active') takes precedence.
+ *
+ *    Modes (the strongest action a match can take on the site):
+ *      'block' - full protection, the actions of the categories apply as configured (the default)
+ *      'warn'  - 'block' matches show the blocked page, but nothing is blacklisted or blocked
+ *      'count' - 'block' and 'warn' matches are only counted
+ *      'off'   - nothing is scanned, blocked or counted
+*/
+
+import { PUBLIC_SUFFIX_RULES } from "./publicSuffixList.js";
+
+
+export const SITE_MODES = ['block', 'warn', 'count', 'off'];
+
+const DEFAULT_MODE = 'block';
+
+const HOST_REGEX = /^[a-z0-9]([a-z0-9_-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9_-]*[a-z0-9])?)*$/;
+
+// the rules of the list by kind, wildcards and exceptions without their '*.' or '!'
+const SUFFIXES = new Set(PUBLIC_SUFFIX_RULES.filter(rule => !rule.startsWith('*.') && !rule.startsWith('!')));
+const WILDCARDS = new Set(PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('*.')).map(rule => rule.slice(2)));
+const EXCEPTIONS = new Set(PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('!')).map(rule => rule.slice(1)));
+
+// writes to 'site_modes' run one after the other
+let update_chain = Promise.resolve();
+
+
+function isIpAddress(host) {
+  return (host.includes(':') && /^[0-9a-f:.]+$/.test(host)) || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+}
+
+
+// Validates and normalizes a host (lowercase, without brackets or trailing dot), throws on invalid input
+export function normalizeSiteHost(host) {
+  const normalized = String(host || '').trim().toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+  if (!normalized || !(isIpAddress(normalized) || HOST_REGEX.test(normalized))) {
+    throw new Error(`Invalid site: ${host}`);
+  }
+  return normalized;
+}
+
+
+// Number of labels of the public suffix of a host, the longest matching rule wins (unknown TLDs are suffixes)
+function suffixLength(labels) {
+  for (let i = 0; i < labels.length; i++) {
+    const name = labels.slice(i).join('.');
+    if (EXCEPTIONS.has(name)) {
+      return labels.length - i - 1;
+    }
+    if (SUFFIXES.has(name)) {
+      return labels.length - i;
+    }
+    if (i > 0 && WILDCARDS.has(name)) {
+      return labels.length - i + 1;
+    }
+  }
+  return 1;
+}
+
+
+/**
+ * The registrable domain of a host, the public suffix plus one label (www.example.co.uk -> example.co.uk)
+ * IP addresses and hosts that are public suffixes themselves (intranet names, github.io) are returned as they are.
+ */
+export function registrableDomain(host) {
+  const normalized = normalizeSiteHost(host);
+  if (isIpAddress(normalized)) {
+    return normalized;
+  }
+
+  const labels = normalized.split('.');
+  const keep = suffixLength(labels) + 1;
+  return keep > labels.length ? normalized : labels.slice(-keep).join('.');
+}
+
+
+// The site of a page URL, null for pages that are not on the web (chrome://, extension pages, ...)
+export function siteOf(url) {
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+      return null;
+    }
+    return registrableDomain(parsed.hostname);
+  }
+  catch (error) {
+    return null;
+  }
+}
+
+
+// Returns { domain: mode } for the sites that are not in the default mode
+export async function getSiteModes() {
+  const data = await chrome.storage.local.get('site_modes');
+  return data['site_modes'] || {};
+}
+
+
+// The mode of the site a page URL belongs to
+export function siteModeFor(modes, url) {
+  const site = siteOf(url);
+  return (site && modes[site]) || DEFAULT_MODE;
+}
+
+
+// Sets the mode of a site (any host of it can be passed), the default mode removes the entry
+export async function setSiteMode(host, mode) {
+  if (!SITE_MODES.includes(mode)) {
+    throw new Error(`Invalid site mode: ${mode}`);
+  }
+  const domain = registrableDomain(host);
+
+  const result = update_chain.then(async () => {
+    const modes = await getSiteModes();
+    if (mode === DEFAULT_MODE) {
+      delete modes[domain];
+    }
+    else {
+      modes[domain] = mode;
+    }
+    await chrome.storage.local.set({ 'site_modes': modes });
+  });
+
+  update_chain = result.catch(() => {});
+  await result;
+  return domain;
+}
+
+
+/**
+ * The action a match takes on a site: the action of the category, capped by the site mode
+ * Returns null when the site is off.
+ */
+export function capAction(action, mode) {
+  if (mode === 'off') {
+    return null;
+  }
+  if (mode === 'count' && (action === 'block' || action === 'warn')) {
+    return 'count';
+  }
+  if (mode === 'warn' && action === 'block') {
+    return 'warn';
+  }
+  return action;
+}
+
+// End of Site Modes (siteModes.js)
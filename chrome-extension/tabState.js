@@ -0,0 +1,164 @@
+/**
+ *    Tab State (tabState.js)
+ *    What the extension knows about each tab, the popup and the toolbar button read it from here only.
+ *    Kept under 'tab_<id>' in chrome.storage.session, so it does not outlive the browser session,
+ *    and written one update at a time, so concurrent updates of a tab are not lost.
+ *
+ *    State: { site, verdicts, trackers, blocked }
+ *      site:     { host, port, url } of the page in the tab, null for pages that are not scanned
+ *      verdicts: { 'host:port': verdict } of the servers scanned for the tab (see targetKey in target.js)
+ *                'pending' until the scan is matched, then 'clean', 'error' or the ID of the matched category
+ *      trackers: [{ host, port, category }] servers matched by a 'count' category
+ *      blocked:  [{ domain, port, url, type, action }] malicious embedded servers and what was done to them (see enforcement.js)
+*/
+
+
+const KEY_PREFIX = 'tab_';
+
+// writes to the tab states run one after the other
+let update_chain = Promise.resolve();
+
+
+function storageKey(tabId) {
+  return `${KEY_PREFIX}${tabId}`;
+}
+
+
+// The state of a tab nothing is known about yet
+export function emptyTabState(site = null) {
+  return { site, verdicts: {}, trackers: [], blocked: [] };
+}
+
+
+// Returns the state of a tab, an empty one if there is none
+export async function readTabState(tabId) {
+  const key = storageKey(tabId);
+  const data = await chrome.storage.session.get(key);
+  return data[key] || emptyTabState();
+}
+
+
+/**
+ * Updates the state of a tab
+ * callback gets the current state and returns the new one without changing it,
+ * the same object leaves the state as it is and null removes it. Returns the new state.
+ */
+export function updateTabState(tabId, callback) {
+  const result = update_chain.then(async () => {
+    const key = storageKey(tabId);
+    const data = await chrome.storage.session.get(key);
+    const current = data[key] || emptyTabState();
+    const state = callback(current);
+
+    if (state === null) {
+      if (data[key]) {
+        await chrome.storage.session.remove(key);
+      }
+      return null;
+    }
+    if (state !== current) {
+      await chrome.storage.session.set({ [key]: state });
+    }
+    return state;
+  });
+
+  update_chain = result.catch(() => {});
+  return result;
+}
+
+
+// A new page in the tab, forgets everything about the previous one
+export function resetTabState(tabId, site = null) {
+  return updateTabState(tabId, () => emptyTabState(site));
+}
+
+
+export function removeTabState(tabId) {
+  return updateTabState(tabId, () => null);
+}
+
+
+/**
+ * Marks a server as scanned for the tab, its verdict is 'pending' until setVerdict()
+ * Returns false when the tab already had it.
+ */
+export async function claimTarget(tabId, key) {
+  let claimed = false;
+  await updateTabState(tabId, (state) => {
+    if (key in state.verdicts) {
+      return state;
+    }
+    claimed = true;
+    return { ...state, verdicts: { ...state.verdicts, [key]: 'pending' } };
+  });
+  return claimed;
+}
+
+
+/**
+ * Sets the verdict of a server claimed for the tab
+ * A server the tab no longer has (it navigated away meanwhile) is only added with add: true.
+ * Returns false when the verdict was already set (or the server is gone).
+ */
+export async function setVerdict(tabId, key, verdict, { add = false } = {}) {
+  let changed = false;
+  await updateTabState(tabId, (state) => {
+    if ((!add && !(key in state.verdicts)) || state.verdicts[key] === verdict) {
+      return state;
+    }
+    changed = true;
+    return { ...state, verdicts: { ...state.verdicts, [key]: verdict } };
+  });
+  return changed;
+}
+
+
+// Adds a server matched by a 'count' category, once per tab
+export function addTracker(tabId, { host, port, category }) {
+  return updateTabState(tabId, (state) => {
+    if (state.trackers.some(tracker => tracker.host === host && tracker.port === port)) {
+      return state;
+    }
+    return { ...state, trackers: [...state.trackers, { host, port, category }] };
+  });
+}
+
+
+// Adds a malicious embedded resource, the main frame is the site itself and is not listed
+export function addBlocked(tabId, { domain, port, url, type, action }) {
+  return updateTabState(tabId, (state) => {
+    if (type === 'main_frame' ||
+        state.blocked.some(resource => resource.domain === domain && resource.port === port && resource.type === type)) {
+      return state;
+    }
+    return { ...state, blocked: [...state.blocked, { domain, port, url, type, action }] };
+  });
+}
+
+
+// Removes the states of the tabs that are gone (closed while the service worker was not running)
+export async function pruneTabStates(open_tab_ids) {
+  const result = update_chain.then(async () => {
+    const open = new Set(open_tab_ids.map(storageKey));
+    const stale = Object.keys(await chrome.storage.session.get(null))
+      .filter(key => key.startsWith(KEY_PREFIX) && !open.has(key));
+
+    if (stale.length > 0) {
+      await chrome.storage.session.remove(stale);
+      console.log(`[+] Removed the state of ${stale.length} closed tab(s)`);
+    }
+  });
+
+  update_chain = result.catch(() => {});
+  return result;
+}
+
+
+// IDs of the tabs whose state changed, from the changes of a chrome.storage.session onChanged event
+export function changedTabIds(changes) {
+  return Object.keys(changes)
+    .filter(key => key.startsWith(KEY_PREFIX))
+    .map(key => Number(key.slice(KEY_PREFIX.length)));
+}
+
+// End of Tab State (tabState.js)
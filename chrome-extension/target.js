@@ -0,0 +1,102 @@
+/**
+ *    Scan Target (target.js)
+ *    Turns a request URL into the host:port that gets fingerprinted.
+ *
+ *    Only TLS schemes can be fingerprinted by JARM. Whether the other schemes (plain http://, ws://)
+ *    are scanned is decided by the non-TLS policy:
+ *      'skip'     - not scanned
+ *      'scan-443' - the host's default TLS port (443) is scanned instead
+ *    Either way a blacklisted host is blocked on every scheme (see blacklistPort()).
+*/
+
+
+// TLS schemes and their default ports
+const TLS_SCHEMES = {
+  'https:': 443,
+  'wss:': 443,
+};
+
+// plain schemes and their default ports
+const NON_TLS_SCHEMES = {
+  'http:': 80,
+  'ws:': 80,
+};
+
+export const NON_TLS_POLICIES = ['skip', 'scan-443'];
+
+
+// Key used by the caches and the blacklist
+export function targetKey(host, port) {
+  return `${host}:${port}`;
+}
+
+
+/**
+ * Returns the server a URL is requested from: { scheme, host, port, tls }
+ * or null for the schemes that do not go to a web server (data:, chrome:, ...).
+ */
+export function requestServer(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  }
+  catch (error) {
+    return null;
+  }
+
+  // IPv6 literals come wrapped in brackets
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  const scheme = parsed.protocol;
+  const default_port = TLS_SCHEMES[scheme] ?? NON_TLS_SCHEMES[scheme];
+  if (!host || !default_port) {
+    return null;
+  }
+
+  return {
+    scheme,
+    host,
+    port: parsed.port ? Number(parsed.port) : default_port,
+    tls: scheme in TLS_SCHEMES,
+  };
+}
+
+
+// Port of the blacklist entry a server falls under: its own for TLS, the host's TLS port (443) otherwise
+export function blacklistPort(server) {
+  return server.tls ? server.port : 443;
+}
+
+
+/**
+ * Returns the scan target of a URL: { scheme, host, port, tls, key }
+ * or null when the URL should not be scanned.
+ */
+export function resolveTarget(url, non_tls_policy = 'skip') {
+  const server = requestServer(url);
+  if (!server) {
+    return null;
+  }
+
+  const { scheme, host } = server;
+  let port;
+
+  if (server.tls) {
+    port = server.port;
+  }
+  else if (non_tls_policy === 'scan-443') {
+    port = 443;
+  }
+  else {
+    return null;
+  }
+
+  return {
+    scheme,
+    host,
+    port,
+    tls: scheme in TLS_SCHEMES,
+    key: targetKey(host, port),
+  };
+}
+
+// End of Scan Target (target.js)
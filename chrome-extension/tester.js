@@ -5,6 +5,8 @@
  *  Author: Nikolaos Papoutsakis
 */
 
+import { ensureOffscreenDocument } from "./matchers.js";
+
 /*
  * gpu_match_test
  */
@@ -17,12 +19,8 @@ export async function gpu_match_test(jarms, aho, type) {
  */
 export async function cpu_worker_test(jarms, type) {
 
-  // create the doc that the workers will run
-  await chrome.offscreen.createDocument({ 
-    url: 'tester.html',
-    reasons: ['WORKERS'], // offscreen.CreateParameters
-    justification: 'Running CPU benchmark',
-  });
+  // the doc that the workers run in, shared with the 'workers' matcher
+  await ensureOffscreenDocument();
 
   const response = await chrome.runtime.sendMessage({
     type: 'testThreadWorkers',
@@ -32,7 +30,4 @@ export async function cpu_worker_test(jarms, type) {
     }
   });
   console.log(`[CPU Worker] Time: ${response.time.toFixed(2)} ms`);
-
-  // close the doc 
-  await chrome.offscreen.closeDocument();
 }
\ No newline at end of file
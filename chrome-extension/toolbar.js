@@ -0,0 +1,107 @@
+/**
+ *    Toolbar (toolbar.js)
+ *    Per-tab icon, badge and title of the toolbar button, the badge counts the trackers found on the tab.
+ *
+ *    States:
+ *      'safe'     - the site was scanned and matched nothing that blocks or warns
+ *      'scanning' - the site is not matched yet
+ *      'warning'  - the site matched a 'warn' category, or malicious embedded servers were blocked on it
+ *      'blocked'  - the site matched a 'block' category, the tab shows the blocked page
+ *      'failed'   - the site could not be scanned (see scanResult.js), it is not known to be safe
+ *      'disabled' - the extension is off
+*/
+
+import { WARNING_PAGE } from "./warningPage.js";
+import { SCAN_OUTCOMES } from "./scanResult.js";
+
+
+// Constants
+const ICONS = {
+  safe: "icons/safe_icon48.png",
+  scanning: "icons/extension_icon.png",
+  warning: "icons/danger_icon48.png",
+  blocked: "icons/danger_icon48.png",
+  failed: "icons/extension_icon.png",
+  disabled: "icons/extension_icon.png",
+};
+
+const BADGE_COLORS = {
+  safe: "#4CAF50",
+  scanning: "#666666",
+  warning: "#FF9800",
+  blocked: "#E53935",
+  failed: "#FF9800",
+  disabled: "#666666",
+};
+
+const TITLES = {
+  safe: "JARMGuard: no threats found",
+  scanning: "JARMGuard: scanning the site",
+  warning: "JARMGuard: threats found on this page",
+  blocked: "JARMGuard: malicious server blocked",
+  failed: "JARMGuard: the site could not be scanned",
+  disabled: "JARMGuard: disabled",
+};
+
+// what each tab shows, so unchanged tabs are not redrawn
+const shown = new Map();
+
+
+/**
+ * The state of a tab
+ * active: whether the extension is on, tab_url: the URL of the tab,
+ * site / blocked: the scan of the site and the blocked embedded servers (see getTabState in background.js)
+ */
+export function toolbarState({ active, tab_url, site, blocked }) {
+  if (!active) {
+    return 'disabled';
+  }
+  if (tab_url?.startsWith(chrome.runtime.getURL(WARNING_PAGE))) {
+    return 'blocked';
+  }
+  if (site?.status === 'matched' && site.category?.action === 'block') {
+    return 'blocked';
+  }
+  if ((site?.status === 'matched' && site.category?.action === 'warn') || blocked?.length > 0) {
+    return 'warning';
+  }
+  if (site?.status === 'pending') {
+    return 'scanning';
+  }
+  if (SCAN_OUTCOMES.includes(site?.status)) {
+    return 'failed';
+  }
+  return 'safe';
+}
+
+
+// Shows a state and the tracker count on the toolbar button of a tab
+export async function setToolbar(tabId, state, trackers = 0) {
+  const text = state === 'disabled' ? 'off' : (trackers > 0 ? String(trackers) : '');
+  const key = `${state}/${text}`;
+  if (shown.get(tabId) === key) {
+    return;
+  }
+
+  try {
+    await Promise.all([
+      chrome.action.setIcon({ tabId, path: ICONS[state] }),
+      chrome.action.setTitle({ tabId, title: TITLES[state] }),
+      chrome.action.setBadgeText({ tabId, text }),
+      chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[state] }),
+    ]);
+    shown.set(tabId, key);
+  }
+  catch (error) {
+    // the tab was closed meanwhile
+    shown.delete(tabId);
+    console.warn(`[!] Could not update the toolbar of tab ${tabId}:`, error.message);
+  }
+}
+
+
+export function forgetToolbar(tabId) {
+  shown.delete(tabId);
+}
+
+// End of Toolbar (toolbar.js)
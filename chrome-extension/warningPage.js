@@ -0,0 +1,43 @@
+/**
+ *    Warning Page (warningPage.js)
+ *    URL of the blocked page, the page reads the block details from the query string.
+*/
+
+
+// Constants
+export const WARNING_PAGE = "/redirect_page/blocked.html";
+
+
+/**
+ * Query string of the blocked page, it shows these details to the user
+ * category: { id, name } of the matched list, entries blacklisted before categories are 'blocklist'
+ * back: history entries "Go back" returns over, 1 when the blocked page replaced a navigation that never committed
+ * (the redirect of a block rule), 2 when the blocked URL is in the history before it
+ */
+export function warningPageQuery({ url, domain, port = 443, ip, jarm, pattern, category, back = 1 }) {
+  const params = new URLSearchParams({
+    url: url || `https://${domain}:${port}/`,
+    domain,
+    port,
+    ip: ip || '',
+    jarm: jarm || '',
+    list: category?.name || 'blocklist',
+    back,
+  });
+
+  if (pattern) {
+    params.set('pattern_id', pattern.id);
+    params.set('feed', pattern.feed || '');
+    params.set('label', pattern.label || '');
+  }
+
+  return params.toString();
+}
+
+
+// Full URL of the blocked page for a blocked request
+export function warningPageUrl(details) {
+  return `${chrome.runtime.getURL(WARNING_PAGE)}?${warningPageQuery(details)}`;
+}
+
+// End of Warning Page (warningPage.js)
@@ -12,32 +12,84 @@ function mapCharCode(code) {
     // 'a' - 'f'
     return 10 + (code - 97);
   }
+  if (code >= 65 && code <= 70) {
+    // 'A' - 'F'
+    return 10 + (code - 65);
+  }
   return -1; 
 }
 
+// set bits of a 16-bit mask
+function countBits(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+// Exact-match walk of the 'bitmap' encoding: [child mask, first child] per node
+function matchBitmap(tableArray, jarm) {
+  let node = 0;
+  for (let i = 0; i < 62; i++) {
+    const c = mapCharCode(jarm.charCodeAt(i));
+    const mask = tableArray[node * 2];
+    const bit = 1 << c;
+    if (c === -1 || (mask & bit) === 0) {
+      return 0;
+    }
+    node = tableArray[node * 2 + 1] + countBits(mask & (bit - 1));
+  }
+  return tableArray[node * 2 + 1];
+}
+
+// automata of the worker pool per type, sent once per pattern set (see workerManager.js)
+const automata = {};
+
 // Worker for Aho-Corasick CPU Search
 self.onmessage = function(e) {
-  const { table, output, jarms } = e.data;
+  if (e.data.load) {
+    const { load, table, output, encoding } = e.data;
+    automata[load] = { table, output, encoding };
+    return;
+  }
+
+  // id: job ID of the worker pool, echoed back (undefined for the benchmark)
+  // the benchmark sends the automaton with every job, the worker pool names the type of one it sent before
+  const { id, type, jarms } = e.data;
+  const automaton = type ? automata[type] : e.data;
+  const encoding = automaton.encoding;
   
   // Create views on the SharedArrayBuffers
-  const tableArray = new Uint32Array(table);
-  const outputArray = new Uint32Array(output);
+  const tableArray = new Uint32Array(automaton.table);
+  const outputArray = new Uint32Array(automaton.output);
+
+  if (encoding === 'bitmap') {
+    self.postMessage({ type: 'result', id, data: jarms.map(jarm => matchBitmap(tableArray, jarm)) });
+    return;
+  }
 
   const ALPHABET_SIZE = 16;
   const results = [];
   
   for (const jarm of jarms) {
     let state = 0;
-    let found = false;
+    let found = 0;
 
     for (let i = 0; i < jarm.length; i++) {
       let c = mapCharCode(jarm.charCodeAt(i));
+      if (c === -1) {
+        // not a JARM, nothing can match
+        found = 0;
+        break;
+      }
       state = tableArray[state * ALPHABET_SIZE + c];
-      found = outputArray[state] === 1;
+      found = Math.max(found, outputArray[state]);
     }
 
     results.push(found);
   }
   
-  self.postMessage({ type: 'result', data: results });
+  self.postMessage({ type: 'result', id, data: results });
 };
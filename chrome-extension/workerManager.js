@@ -1,23 +1,162 @@
 /**
- *  Handles the creation of web workers for the CPU benchmarks
+ *  Handles the creation of web workers for the CPU benchmarks, and the worker pool
+ *  of the 'workers' matcher (see matchers.js)
  *  ---> IMPORTANT: include the offscreen permission on the manifest file for this to work
 */
 
 import { loadAutomaton } from './cache.js';
 
+// automaton per type loaded into the pool: { digest, encoding, table, output }
+// every worker gets it once, its jobs then carry the JARMs only
+const pool_automata = {};
+
+// without cross-origin isolation, every worker gets its own copy of the buffers
+const SHARED = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated;
+// a job not answered in time fails, its worker is dropped (it may be stuck)
+const JOB_TIMEOUT_MS = 30000;
+
+let pool = null;
+let next_job_id = 1;
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'testThreadWorkers') {
     runTest(message.data, sendResponse);
     return true;
   }
+
+  if (message.type === 'workerPoolMatch') {
+    poolMatch(message.data)
+    .then((results) => sendResponse({ status: 'success', results }))
+    .catch((error) => sendResponse({ status: 'error', message: error.message }));
+    return true;
+  }
 });
 
+
+// Copies a typed array into memory the workers can share (a plain copy without cross-origin isolation)
+function shareable(array) {
+  const buffer = SHARED ? new SharedArrayBuffer(array.byteLength) : new ArrayBuffer(array.byteLength);
+  new Uint32Array(buffer).set(array);
+  return buffer;
+}
+
+
+// Sends an automaton to a worker, unless it has it already: the shared buffers, or a copy transferred to it
+function loadInto(entry, type, automaton) {
+  if (entry.loaded[type] === automaton) {
+    return;
+  }
+
+  const table = SHARED ? automaton.table : automaton.table.slice(0);
+  const output = SHARED ? automaton.output : automaton.output.slice(0);
+  entry.worker.postMessage({ load: type, table, output, encoding: automaton.encoding }, SHARED ? [] : [table, output]);
+  entry.loaded[type] = automaton;
+}
+
+
+// Fails the pending jobs of a worker and drops it from the pool, the next match starts a new one
+function dropWorker(entry, error) {
+  entry.worker.terminate();
+  pool = pool.filter(other => other !== entry);
+  for (const job of entry.pending.values()) {
+    clearTimeout(job.timer);
+    job.reject(error);
+  }
+  entry.pending.clear();
+}
+
+
+function startWorker() {
+  const worker = new Worker('worker.js');
+
+  // pending: job ID -> { resolve, reject, timer }, loaded: the automaton per type the worker has
+  const entry = { worker, pending: new Map(), loaded: {} };
+
+  worker.onmessage = (e) => {
+    const job = entry.pending.get(e.data.id);
+    entry.pending.delete(e.data.id);
+    if (job) {
+      clearTimeout(job.timer);
+      job.resolve(e.data.data);
+    }
+  };
+  worker.onerror = (e) => {
+    console.error("[-] Pool worker failed:", e.message);
+    dropWorker(entry, new Error(`Worker failed: ${e.message}`));
+  };
+  worker.onmessageerror = () => {
+    dropWorker(entry, new Error("Worker message could not be deserialized"));
+  };
+
+  return entry;
+}
+
+
+// One long-lived worker per core, jobs are told apart by their ID
+function getPool() {
+  pool ??= [];
+  while (pool.length < navigator.hardwareConcurrency) {
+    pool.push(startWorker());
+  }
+  return pool;
+}
+
+
+// The cached automaton built from the patterns with this digest
+async function getAutomaton(type, digest, encoding) {
+  const current = pool_automata[type];
+  if (current && current.digest === digest && current.encoding === encoding) {
+    return current;
+  }
+
+  const dataset = await loadAutomaton(type, digest, encoding);
+  if (!dataset) {
+    throw new Error(`No cached '${type}' automaton for the current patterns yet`);
+  }
+
+  pool_automata[type] = {
+    digest,
+    encoding,
+    table: shareable(dataset.table),
+    output: shareable(dataset.output),
+  };
+  return pool_automata[type];
+}
+
+
+async function poolMatch({ type, jarms, digest, encoding }) {
+  const automaton = await getAutomaton(type, digest, encoding);
+  const workers = getPool();
+  const chunkSize = Math.ceil(jarms.length / workers.length);
+
+  const jobs = workers.map((entry, i) => {
+    const chunk = jarms.slice(i * chunkSize, (i + 1) * chunkSize);
+    if (chunk.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    // messages are handled in order, the automaton is in place before the job
+    loadInto(entry, type, automaton);
+    return new Promise((resolve, reject) => {
+      const id = next_job_id++;
+      const timer = setTimeout(() => {
+        dropWorker(entry, new Error(`Worker job timed out after ${JOB_TIMEOUT_MS} ms`));
+      }, JOB_TIMEOUT_MS);
+      entry.pending.set(id, { resolve, reject, timer });
+      entry.worker.postMessage({ id, type, jarms: chunk });
+    });
+  });
+
+  return (await Promise.all(jobs)).flat();
+}
+
+
 async function runTest({ type, jarms }, sendResponse) {
-  
+
   // fetch the dataset once in main thread
   const dataset = await loadAutomaton(type);
-  const { table, output } = dataset;
-  
+  const { table, output, encoding } = dataset;
+
   // make a reference to all workes so we dont create
   const referencedTable = new SharedArrayBuffer(table.byteLength);
   const referencedOutput = new SharedArrayBuffer(output.byteLength);
@@ -32,10 +171,10 @@ async function runTest({ type, jarms }, sendResponse) {
   // for all available cores -> create the job
   for (let i = 0; i < navigator.hardwareConcurrency; i++) {
     const chunk = jarms.slice(i * chunkSize, (i + 1) * chunkSize);
-    
+
     jobs.push(new Promise((resolve) => {
       const worker = new Worker('worker.js');
-      
+
       worker.onmessage = (e) => {
         worker.terminate();
         resolve(e.data);
@@ -44,16 +183,17 @@ async function runTest({ type, jarms }, sendResponse) {
       worker.postMessage({
         table: referencedTable,
         output: referencedOutput,
+        encoding,
         jarms: chunk
       });
     }));
   }
-  
+
   const start = performance.now();
   await Promise.all(jobs);    // wait for all workers
   sendResponse({
     status: 'success',
-    time: performance.now() - start 
+    time: performance.now() - start
   });
   return;
 }
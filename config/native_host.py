@@ -2,14 +2,28 @@
 
 import sys
 import json
+import socket
 import subprocess
+import threading
+from concurrent.futures import ThreadPoolExecutor
+
+# scans handled at the same time, the extension multiplexes requests over one port
+# (as many as the highest "Concurrent scans" setting, so no scan waits here)
+MAX_WORKERS = 16
+
+# a hung scan is stopped before the extension gives up on it (60s)
+SCAN_TIMEOUT = 50
+
+# stdout is shared by the worker threads
+stdout_lock = threading.Lock()
 
 def send_message(message):
     """Send a JSON-encoded message to stdout with a 4-byte length header."""
     encoded = json.dumps(message).encode('utf-8')
-    sys.stdout.buffer.write(len(encoded).to_bytes(4, byteorder='little'))
-    sys.stdout.buffer.write(encoded)
-    sys.stdout.flush()
+    with stdout_lock:
+        sys.stdout.buffer.write(len(encoded).to_bytes(4, byteorder='little'))
+        sys.stdout.buffer.write(encoded)
+        sys.stdout.flush()
     return
 
 def read_message():
@@ -25,16 +39,27 @@ def read_message():
     return json.loads(message_data)
 
 
-def scan_jarm(target):
+def scan_jarm(target, port=443):
     
+    # a name that does not resolve is reported as such ('kind' tells the extension what failed),
+    # threaded_jarm.py cannot tell it apart from a refused connection
+    try:
+        socket.getaddrinfo(target, port, type=socket.SOCK_STREAM)
+    except socket.gaierror as e:
+        return {'error': f'DNS lookup failed: {e}', 'kind': 'dns'}
+
     # Run the threaded JARM command for better performance
     # Use 'python' for Windows, 'python3' for Linux/Mac
     python_cmd = 'python' if sys.platform == 'win32' else 'python3'
-    result = subprocess.run(
-        [python_cmd, 'threaded_jarm.py', target],
-        capture_output=True, 
-        text=True
-    )
+    try:
+        result = subprocess.run(
+            [python_cmd, 'threaded_jarm.py', target, '-p', str(port)],
+            capture_output=True, 
+            text=True,
+            timeout=SCAN_TIMEOUT
+        )
+    except subprocess.TimeoutExpired:
+        return {'error': f'Scan timed out after {SCAN_TIMEOUT}s', 'kind': 'timeout'}
     
     if result.returncode != 0:
         return {'error': result.stderr.strip()}
@@ -59,28 +84,40 @@ def scan_jarm(target):
     
     return {
         'Domain': domain,
+        'Port': port,
         'Resolved IP': resolved_ip,
         'JARM': jarm_hash
     }
 
+def handle_request(request_id, target, port):
+    """Scan a target and answer with the request ID of the extension."""
+    try:
+        response = scan_jarm(target, port)
+    except Exception as e:
+        response = {'error': str(e)}
+
+    # echo the request ID so the extension can match the response
+    response['id'] = request_id
+    send_message(response)
+
+
 def main():
-    while True:
-        incoming = read_message()
-        
-        if not incoming:
-            break
-        
-        if 'target' not in incoming:
-            send_message({'error': 'No target specified'})
-            continue
-
-        target = incoming['target']
-        
-        # Perform the JARM scan!
-        response = scan_jarm(target)
-        
-        # send the response back to the extension
-        send_message(response)
+    with ThreadPoolExecutor(max_workers=MAX_WORKERS) as executor:
+        while True:
+            incoming = read_message()
+            
+            if not incoming:
+                break
+            
+            request_id = incoming.get('id')
+
+            if 'target' not in incoming:
+                send_message({'error': 'No target specified', 'id': request_id})
+                continue
+
+            # Perform the JARM scan! (in the background, so the next request is read right away)
+            port = int(incoming.get('port') or 443)
+            executor.submit(handle_request, request_id, incoming['target'], port)
 
 
 